@@ -5,25 +5,20 @@ BASE_PATH=/materials
 HOST=localhost
 ADMIN_PORT=8082
 ADMIN_HOST=localhost
-INCLUDES_SERVICE_PORT=8088
 
 cd "$(dirname "${BASH_SOURCE[0]}")" || exit 1
 
 MATERIALS_DIR=$(cd "../jam-materials" && pwd)
 INCLUDES_DIR=$(cd "../jam-navigator/htdocs" && pwd)
 
-INCLUDES_SERVER_PID=''
 MATERIALS_HANDLER_SERVER_PID=''
 
 start_servers() {
-  echo "Starting includes HTTP server on port $INCLUDES_SERVICE_PORT..."
-  python3 -m http.server "$INCLUDES_SERVICE_PORT" \
-    --directory "$INCLUDES_DIR" >/dev/null 2>&1 &
-  INCLUDES_SERVER_PID=$!
-
   echo "Starting Materials Handler server on port $PORT..."
-  INCLUDES_SERVICE_PORT=${INCLUDES_SERVICE_PORT} NODE_ENV=local node \
-    "src/index.js" --port "$PORT" --base-path "$MATERIALS_DIR" &
+  NODE_ENV=local node "src/index.js" --port "$PORT" \
+    --base-path "$MATERIALS_DIR" \
+    --includes-dir "$INCLUDES_DIR/includes" \
+    --assets-dir "$INCLUDES_DIR" &
   MATERIALS_HANDLER_SERVER_PID=$!
 
   echo '"R" to refresh servers, "Q" to quit.'
@@ -45,18 +40,13 @@ stop_pid() {
   fi
 }
 
-# Call this to stop the includes server
+# Call this to stop the server
 stop_servers() {
   if [ -n "${MATERIALS_HANDLER_SERVER_PID:-}" ]; then
     echo "Stopping materials handler server with PID ${MATERIALS_HANDLER_SERVER_PID}..."
     stop_pid "${MATERIALS_HANDLER_SERVER_PID}" || true
     MATERIALS_HANDLER_SERVER_PID=''
   fi
-  if [ -n "${INCLUDES_SERVER_PID:-}" ]; then
-    echo "Stopping includes HTTP server with PID ${INCLUDES_SERVER_PID}..."
-    stop_pid "${INCLUDES_SERVER_PID}" || true
-    INCLUDES_SERVER_PID=''
-  fi
 }
 
 trap 'stop_servers' TERM
@@ -0,0 +1,218 @@
+'use strict';
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Authentication for the admin server.
+ *
+ * An authenticator has an `authenticate(req)` method that returns the
+ * user `{ name, role }` for a request it accepts, or null, or a promise of
+ * either. Requests are tried against each configured authenticator in turn.
+ *
+ * Roles:
+ * - `read` may use GET requests only
+ * - `readwrite` may also change the configuration
+ */
+
+const ROLES = ['read', 'readwrite'];
+
+const SCRYPT_KEY_LENGTH = 32;
+
+const HASH_PATTERN = /^scrypt\$((?:[\da-f]{2})+)\$((?:[\da-f]{2})+)$/i;
+
+/**
+ * Hashes a password for the admin configuration
+ * @param {string} password - The password
+ * @returns {string} the hash, `scrypt$<salt>$<key>` in hex
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH);
+  return `scrypt$${salt.toString('hex')}$${key.toString('hex')}`;
+}
+
+/**
+ * Checks that a stored hash has the form `hashPassword` gives, with a salt
+ * and a key
+ * @param {string} hash - The stored hash
+ * @returns {boolean} true if the hash can be checked against
+ */
+function isPasswordHash(hash) {
+  return HASH_PATTERN.test(String(hash));
+}
+
+/**
+ * Checks a password against a hash from `hashPassword`, without blocking
+ * the event loop
+ * @param {string} password - The password given
+ * @param {string} hash - The stored hash
+ * @returns {Promise<boolean>} true if the password matches
+ */
+async function verifyPassword(password, hash) {
+  const match = HASH_PATTERN.exec(String(hash));
+  if (!match) {
+    return false;
+  }
+  const expected = Buffer.from(match[2], 'hex');
+  const actual = await scrypt(password, Buffer.from(match[1], 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Compares two secrets in constant time
+ * @param {string} a - First secret
+ * @param {string} b - Second secret
+ * @returns {boolean} true if they are equal
+ */
+function secretsEqual(a, b) {
+  const digest = (text) => crypto.createHash('sha256').update(text).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+/**
+ * Checks the role of a configured user or token
+ * @param {Object} entry - The configured entry
+ * @param {string} kind - `token` or `user`, for messages
+ * @returns {Object} the entry
+ */
+function checkEntry(entry, kind) {
+  if (!entry.name) {
+    throw new Error(`Admin ${kind} without a name`);
+  }
+  if (!ROLES.includes(entry.role)) {
+    throw new Error(
+      `Admin ${kind} "${entry.name}" has invalid role "${entry.role}", ` +
+      `expected one of ${ROLES.join(', ')}`
+    );
+  }
+  return entry;
+}
+
+/**
+ * Accepts static bearer tokens: `Authorization: Bearer <token>`
+ */
+class TokenAuthenticator {
+  /**
+   * @param {Array<{name: string, token: string, role: string}>} tokens
+   */
+  constructor(tokens) {
+    this.tokens = tokens.map(entry => {
+      checkEntry(entry, 'token');
+      if (typeof entry.token !== 'string' || entry.token === '') {
+        throw new Error(`Admin token "${entry.name}" has no token`);
+      }
+      return entry;
+    });
+  }
+
+  authenticate(req) {
+    const match = /^Bearer\s+(\S+)\s*$/i.exec(req.headers.authorization || '');
+    if (!match) {
+      return null;
+    }
+    const entry = this.tokens.find(item => secretsEqual(item.token, match[1]));
+    return entry ? { name: entry.name, role: entry.role } : null;
+  }
+}
+
+/**
+ * Accepts HTTP Basic credentials checked against hashed passwords
+ */
+class BasicAuthenticator {
+  /**
+   * @param {Array<{name: string, password: string, role: string}>} users -
+   *  Users with passwords hashed by `hashPassword`
+   */
+  constructor(users) {
+    this.users = users.map(entry => {
+      checkEntry(entry, 'user');
+      if (!isPasswordHash(entry.password)) {
+        throw new Error(
+          `Admin user "${entry.name}" has an invalid password hash, ` +
+          'create one with --hash-password'
+        );
+      }
+      return entry;
+    });
+  }
+
+  async authenticate(req) {
+    const match = /^Basic\s+(\S+)\s*$/i.exec(req.headers.authorization || '');
+    if (!match) {
+      return null;
+    }
+    const credentials = Buffer.from(match[1], 'base64').toString('utf8');
+    const separator = credentials.indexOf(':');
+    if (separator < 0) {
+      return null;
+    }
+    const name = credentials.slice(0, separator);
+    const entry = this.users.find(item => item.name === name);
+    return entry && await verifyPassword(credentials.slice(separator + 1), entry.password)
+      ? { name: entry.name, role: entry.role }
+      : null;
+  }
+}
+
+/**
+ * Builds the authenticators for the admin `auth` configuration:
+ *
+ * {
+ *   "tokens": [ { "name": "ci", "token": "...", "role": "read" } ],
+ *   "users": [ { "name": "tw", "password": "scrypt$...", "role": "readwrite" } ]
+ * }
+ *
+ * @param {Object|null} auth - The configuration
+ * @returns {Array} the authenticators, empty if authentication is off
+ */
+function createAuthenticators(auth) {
+  const authenticators = [];
+  if (auth?.tokens?.length) {
+    authenticators.push(new TokenAuthenticator(auth.tokens));
+  }
+  if (auth?.users?.length) {
+    authenticators.push(new BasicAuthenticator(auth.users));
+  }
+  return authenticators;
+}
+
+/**
+ * Finds the user making a request
+ * @param {http.IncomingMessage} req - The request
+ * @param {Array} authenticators - Authenticators to try
+ * @returns {Promise<{name: string, role: string}|null>} the user, or null
+ *  if no authenticator accepts the request
+ */
+async function authenticate(req, authenticators) {
+  for (const authenticator of authenticators) {
+    const user = await authenticator.authenticate(req);
+    if (user) {
+      return user;
+    }
+  }
+  return null;
+}
+
+/**
+ * Checks whether a role may make a request
+ * @param {string} role - The user's role
+ * @param {string} method - The HTTP method
+ * @returns {boolean} true if the request is allowed
+ */
+function isAllowed(role, method) {
+  return role === 'readwrite' || method === 'GET' || method === 'HEAD';
+}
+
+export {
+  ROLES,
+  hashPassword,
+  isPasswordHash,
+  verifyPassword,
+  TokenAuthenticator,
+  BasicAuthenticator,
+  createAuthenticators,
+  authenticate,
+  isAllowed
+};
@@ -0,0 +1,410 @@
+/**
+ * Single-page admin UI: edits the template variables as a table or as raw
+ * JSON, browses the materials and previews pages with the draft variables
+ * before they are saved.
+ */
+
+const $ = (id) => document.getElementById(id);
+
+const TOKEN_KEY = 'md-handler-admin-token';
+const PREVIEW_DELAY = 400;
+
+const state = {
+  saved: {},        // template configuration as last loaded or saved
+  base: {},         // draft configuration apart from the table's variables
+  rows: [],         // variable rows of the table: { name, value, type }
+  rawMode: false,
+  directory: '',
+  page: null,       // markdown page shown in the preview
+  previewTimer: null
+};
+
+/**
+ * Calls the admin API, sending the bearer token if one is set
+ * @param {string} url - The endpoint
+ * @param {Object} [options] - `fetch` options, `body` is sent as JSON
+ * @returns {Promise<Response>} the response
+ */
+async function api(url, options = {}) {
+  const headers = { ...options.headers };
+  const token = sessionStorage.getItem(TOKEN_KEY);
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  if (options.body !== undefined) {
+    headers['Content-Type'] = 'application/json';
+  }
+  return fetch(url, {
+    ...options,
+    headers,
+    body: options.body === undefined ? undefined : JSON.stringify(options.body)
+  });
+}
+
+/**
+ * Reads the error message of a failed API call
+ * @param {Response} response - The response
+ * @returns {Promise<string>} the message
+ */
+async function errorMessage(response) {
+  try {
+    const data = await response.json();
+    return data.error || response.statusText;
+  } catch (error) {
+    return `${response.status} ${response.statusText}`;
+  }
+}
+
+function showMessage(text, type = 'info') {
+  const message = $('message');
+  message.textContent = text;
+  message.className = `message ${type}`;
+  message.hidden = !text;
+}
+
+/**
+ * Turns a variable value into a table row
+ */
+function toRow(name, value) {
+  return typeof value === 'string'
+    ? { name, value, type: 'text' }
+    : { name, value: JSON.stringify(value, null, 2), type: 'json' };
+}
+
+/**
+ * Builds the variables of the table rows
+ * @returns {{variables: Object, errors: string[]}} the variables and any
+ *  problems with the rows
+ */
+function rowsToVariables() {
+  const variables = {};
+  const errors = [];
+  state.rows.forEach((row, index) => {
+    row.invalid = false;
+    const name = row.name.trim();
+    if (!name) {
+      row.invalid = true;
+      errors.push(`Row ${index + 1} has no name`);
+      return;
+    }
+    if (Object.prototype.hasOwnProperty.call(variables, name)) {
+      row.invalid = true;
+      errors.push(`"${name}" is defined twice`);
+      return;
+    }
+    if (row.type === 'json') {
+      try {
+        variables[name] = JSON.parse(row.value);
+      } catch (error) {
+        row.invalid = true;
+        errors.push(`"${name}" is not valid JSON: ${error.message}`);
+      }
+    } else {
+      variables[name] = row.value;
+    }
+  });
+  return { variables, errors };
+}
+
+/**
+ * Gets the draft template configuration from the editor
+ * @returns {{draft: Object|null, errors: string[]}} the draft, or null if
+ *  it cannot be built
+ */
+function getDraft() {
+  if (state.rawMode) {
+    try {
+      const draft = JSON.parse($('raw').value);
+      if (!draft || typeof draft !== 'object' || Array.isArray(draft)) {
+        return { draft: null, errors: ['The configuration must be a JSON object'] };
+      }
+      return { draft, errors: [] };
+    } catch (error) {
+      return { draft: null, errors: [`Invalid JSON: ${error.message}`] };
+    }
+  }
+  const { variables, errors } = rowsToVariables();
+  if (errors.length > 0) {
+    return { draft: null, errors };
+  }
+  // Leave out an empty variables map the configuration did not have
+  const draft = { ...state.base, variables };
+  if (state.rows.length === 0 && !('variables' in state.base)) {
+    delete draft.variables;
+  }
+  return { draft, errors };
+}
+
+function renderRows() {
+  const tbody = $('rows');
+  tbody.replaceChildren();
+
+  state.rows.forEach((row, index) => {
+    const tr = document.createElement('tr');
+    tr.classList.toggle('invalid', !!row.invalid);
+
+    const name = document.createElement('input');
+    name.value = row.name;
+    name.placeholder = 'name';
+    name.setAttribute('aria-label', 'Variable name');
+    name.addEventListener('input', () => {
+      row.name = name.value;
+      changed();
+    });
+
+    const value = document.createElement('textarea');
+    value.value = row.value;
+    value.rows = Math.min(6, row.value.split('\n').length);
+    value.setAttribute('aria-label', 'Value');
+    value.addEventListener('input', () => {
+      row.value = value.value;
+      changed();
+    });
+
+    const type = document.createElement('select');
+    type.setAttribute('aria-label', 'Value type');
+    for (const option of ['text', 'json']) {
+      type.add(new Option(option === 'json' ? 'JSON' : 'Text', option, false, row.type === option));
+    }
+    type.addEventListener('change', () => {
+      row.type = type.value;
+      changed();
+    });
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.textContent = 'Delete';
+    remove.addEventListener('click', () => {
+      state.rows.splice(index, 1);
+      renderRows();
+      changed();
+    });
+
+    for (const control of [name, value, type, remove]) {
+      const td = document.createElement('td');
+      td.append(control);
+      tr.append(td);
+    }
+    tbody.append(tr);
+  });
+}
+
+/**
+ * Marks rows that cannot be saved without redrawing the table, which
+ * would lose the focus
+ */
+function markInvalidRows() {
+  [...$('rows').children].forEach((tr, index) => {
+    tr.classList.toggle('invalid', !!state.rows[index]?.invalid);
+  });
+}
+
+function isDirty() {
+  const { draft } = getDraft();
+  return !draft || JSON.stringify(draft) !== JSON.stringify(state.saved);
+}
+
+/**
+ * Called after every edit
+ */
+function changed() {
+  const { errors } = getDraft();
+  markInvalidRows();
+  showMessage(errors.join('\n'), 'error');
+  $('dirty').hidden = !isDirty();
+  $('save').disabled = errors.length > 0;
+  schedulePreview();
+}
+
+function loadEditor(config) {
+  state.saved = config;
+  state.base = config;
+  state.rows = Object.entries(config.variables || {})
+    .map(([name, value]) => toRow(name, value));
+  $('raw').value = JSON.stringify(config, null, 2);
+  renderRows();
+  changed();
+}
+
+/**
+ * Switches between the table and the raw JSON editor, carrying the draft
+ * over
+ */
+function setRawMode(raw) {
+  if (raw === state.rawMode) return;
+  const { draft, errors } = getDraft();
+  if (!draft) {
+    showMessage(`Fix these problems first:\n${errors.join('\n')}`, 'error');
+    return;
+  }
+
+  state.rawMode = raw;
+  if (raw) {
+    $('raw').value = JSON.stringify(draft, null, 2);
+  } else {
+    state.rows = Object.entries(draft.variables || {})
+      .map(([name, value]) => toRow(name, value));
+    state.base = draft;
+    renderRows();
+  }
+  $('table-view').hidden = raw;
+  $('raw-view').hidden = !raw;
+  $('tab-table').classList.toggle('active', !raw);
+  $('tab-raw').classList.toggle('active', raw);
+  changed();
+}
+
+async function loadConfig() {
+  const response = await api('/config');
+  if (!response.ok) {
+    showMessage(`Cannot load the configuration: ${await errorMessage(response)}`, 'error');
+    return;
+  }
+  loadEditor(await response.json());
+  await loadVersion();
+}
+
+async function loadVersion() {
+  const response = await api('/config/history');
+  if (response.ok) {
+    const history = await response.json();
+    $('version').textContent = history.current ? `version ${history.current}` : '';
+  }
+}
+
+async function save() {
+  const { draft, errors } = getDraft();
+  if (!draft) {
+    showMessage(errors.join('\n'), 'error');
+    return;
+  }
+  const response = await api('/config', { method: 'PUT', body: draft });
+  if (!response.ok) {
+    let text = await errorMessage(response);
+    if (response.status === 401 || response.status === 403) {
+      text += '\nSet a token with the readwrite role to save.';
+    }
+    showMessage(text, 'error');
+    return;
+  }
+  const result = await response.json();
+  if (state.rawMode) {
+    state.saved = result.config;
+    state.base = result.config;
+    $('raw').value = JSON.stringify(result.config, null, 2);
+    changed();
+  } else {
+    loadEditor(result.config);
+  }
+  $('version').textContent = `version ${result.version}`;
+  showMessage(`Saved as version ${result.version}`, 'info');
+}
+
+async function openDirectory(directory) {
+  const response = await api(`/files?path=${encodeURIComponent(directory)}`);
+  if (!response.ok) {
+    showMessage(await errorMessage(response), 'error');
+    return;
+  }
+  const listing = await response.json();
+  state.directory = listing.path;
+  $('cwd').textContent = `/${listing.path}`;
+
+  const entries = listing.path
+    ? [{ name: '..', path: listing.path.split('/').slice(0, -1).join('/'), type: 'directory' }]
+    : [];
+  entries.push(...listing.entries);
+
+  const list = $('entries');
+  list.replaceChildren();
+  for (const entry of entries) {
+    const item = document.createElement('li');
+    item.textContent = entry.name;
+    item.className = entry.type;
+    item.classList.toggle('selected', entry.path === state.page);
+    if (entry.type === 'directory') {
+      item.addEventListener('click', () => openDirectory(entry.path));
+    } else if (entry.type === 'markdown') {
+      item.addEventListener('click', () => {
+        state.page = entry.path;
+        for (const other of list.children) other.classList.remove('selected');
+        item.classList.add('selected');
+        preview();
+      });
+    }
+    list.append(item);
+  }
+}
+
+function schedulePreview() {
+  clearTimeout(state.previewTimer);
+  state.previewTimer = setTimeout(preview, PREVIEW_DELAY);
+}
+
+/**
+ * Renders the selected page with the draft variables
+ */
+async function preview() {
+  clearTimeout(state.previewTimer);
+  if (!state.page) return;
+  const { draft } = getDraft();
+  if (!draft) return;
+
+  $('preview-path').textContent = state.page;
+  const response = await api('/preview', {
+    method: 'POST',
+    body: { path: state.page, template: draft }
+  });
+  const frame = $('preview-frame');
+  if (response.ok) {
+    frame.srcdoc = await response.text();
+  } else {
+    const pre = document.createElement('pre');
+    pre.textContent = await errorMessage(response);
+    frame.srcdoc = pre.outerHTML;
+  }
+}
+
+function init() {
+  $('token').value = sessionStorage.getItem(TOKEN_KEY) || '';
+  $('token').addEventListener('change', () => {
+    const token = $('token').value.trim();
+    if (token) {
+      sessionStorage.setItem(TOKEN_KEY, token);
+    } else {
+      sessionStorage.removeItem(TOKEN_KEY);
+    }
+    loadConfig();
+    openDirectory(state.directory);
+  });
+
+  $('tab-table').addEventListener('click', () => setRawMode(false));
+  $('tab-raw').addEventListener('click', () => setRawMode(true));
+  $('raw').addEventListener('input', changed);
+  $('add').addEventListener('click', () => {
+    state.rows.push({ name: '', value: '', type: 'text' });
+    renderRows();
+    changed();
+    $('rows').lastElementChild.querySelector('input').focus();
+  });
+  $('save').addEventListener('click', save);
+  $('revert').addEventListener('click', () => {
+    if (state.rawMode) {
+      $('raw').value = JSON.stringify(state.saved, null, 2);
+      changed();
+    } else {
+      loadEditor(state.saved);
+    }
+    showMessage('');
+  });
+  $('refresh').addEventListener('click', preview);
+
+  window.addEventListener('beforeunload', (event) => {
+    if (isDirty()) event.preventDefault();
+  });
+
+  loadConfig();
+  openDirectory('');
+}
+
+init();
@@ -5,12 +5,49 @@ import url from 'url';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { updateTemplateConfig } from './file-handler.js';
+import {
+  updateTemplateConfig,
+  renderMarkdownPage,
+  getRenderCacheStats,
+  clearRenderCache,
+  TemplateError
+} from './file-handler.js';
 import { ConfigReader } from './config-reader.js';
+import { parseCsvObjects } from './csv.js';
+import { FrontMatterError } from './front-matter.js';
+import { escapeHtml } from './html.js';
+import { listDirectory } from './materials.js';
+import {
+  TemplateStore,
+  diffConfigs,
+  applyMergePatch
+} from './template-store.js';
+import { SchemaError, validate, loadSchema } from './json-schema.js';
+import {
+  hashPassword,
+  createAuthenticators,
+  authenticate,
+  isAllowed
+} from './admin-auth.js';
+import { collectStatusReport, renderStatusReportHtml } from './status-report.js';
+import {
+  collectAnnotations,
+  filterAnnotations,
+  renderAnnotationsCsv,
+  renderAnnotationsHtml
+} from './annotation-report.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Files of the single-page admin UI, served under /ui/
+const UI_DIR = path.join(__dirname, 'admin-ui');
+const UI_FILES = {
+  'index.html': 'text/html; charset=utf-8',
+  'admin-ui.js': 'text/javascript; charset=utf-8',
+  'admin-ui.css': 'text/css; charset=utf-8'
+};
+
 /**
  * Admin Configuration Manager using shared ConfigReader
  * This handles template-related configuration, separate from the main server config
@@ -23,7 +60,15 @@ class AdminConfig extends ConfigReader {
       envPrefix: 'ADMIN_',
       defaults: {
         port: 8082,
-        host: '0.0.0.0'
+        host: '0.0.0.0',
+        basePath: process.cwd(),
+        templateFile: null,
+        historyLimit: 20,
+        schemaFile: null,
+        auth: null,
+        authFile: null,
+        corsOrigins: [],
+        auditFile: null
       }
     });
     this.templateConfig = {};
@@ -32,10 +77,48 @@ class AdminConfig extends ConfigReader {
   async load() {
     // Load server configuration from all sources
     await super.load();
+
+    // Load the saved template configuration, if it is persisted
+    const store = new TemplateStore({
+      filePath: this.get('templateFile')
+        ? path.resolve(this.get('templateFile'))
+        : null,
+      historyLimit: this.get('historyLimit')
+    });
+    this.templateConfig = await store.load();
+
+    // Changes are validated against the schema, if there is one
+    const schema = this.get('schemaFile')
+      ? await loadSchema(path.resolve(this.get('schemaFile')))
+      : null;
+    if (schema) {
+      const errors = validate(this.templateConfig, schema);
+      if (errors.length > 0) {
+        console.warn(new SchemaError(errors).message);
+      }
+    }
+    
+    // Users and tokens, from their own file so they can be kept secret
+    let auth = this.get('auth');
+    if (this.get('authFile')) {
+      try {
+        auth = JSON.parse(await fs.readFile(path.resolve(this.get('authFile')), 'utf8'));
+      } catch (error) {
+        throw new Error(`Cannot read admin auth file "${this.get('authFile')}": ${error.message}`);
+      }
+    }
+
+    const corsOrigins = this.get('corsOrigins');
+    if (typeof corsOrigins === 'string') {
+      this.set('corsOrigins', corsOrigins.split(',').map(origin => origin.trim()).filter(Boolean));
+    }
     
     return {
       server: this.getAll(),
-      template: this.templateConfig
+      template: this.templateConfig,
+      store,
+      schema,
+      authenticators: createAuthenticators(auth)
     };
   }
 
@@ -45,7 +128,14 @@ class AdminConfig extends ConfigReader {
   loadFromEnv() {
     const envMapping = {
       'ADMIN_PORT': { key: 'port', type: 'number' },
-      'ADMIN_HOST': { key: 'host', type: 'string' }
+      'ADMIN_HOST': { key: 'host', type: 'string' },
+      'BASE_PATH': { key: 'basePath', type: 'string' },
+      'ADMIN_TEMPLATE_FILE': { key: 'templateFile', type: 'string' },
+      'ADMIN_HISTORY_LIMIT': { key: 'historyLimit', type: 'number' },
+      'ADMIN_SCHEMA_FILE': { key: 'schemaFile', type: 'string' },
+      'ADMIN_AUTH_FILE': { key: 'authFile', type: 'string' },
+      'ADMIN_CORS_ORIGINS': { key: 'corsOrigins', type: 'string' },
+      'ADMIN_AUDIT_FILE': { key: 'auditFile', type: 'string' }
     };
     this.parseEnv(envMapping);
   }
@@ -57,6 +147,15 @@ class AdminConfig extends ConfigReader {
     const argMapping = {
       '--admin-port': { key: 'port', type: 'number' },
       '--admin-host': { key: 'host', type: 'string' },
+      '--base-path': { key: 'basePath', type: 'string' },
+      '-b': { key: 'basePath', type: 'string' },
+      '--admin-template-file': { key: 'templateFile', type: 'string' },
+      '--admin-history-limit': { key: 'historyLimit', type: 'number' },
+      '--admin-schema-file': { key: 'schemaFile', type: 'string' },
+      '--admin-auth-file': { key: 'authFile', type: 'string' },
+      '--admin-cors-origins': { key: 'corsOrigins', type: 'string' },
+      '--admin-audit-file': { key: 'auditFile', type: 'string' },
+      '--hash-password': { key: '_hashPassword', type: 'string' },
       '--help': { key: '_help', type: 'boolean' }
     };
     
@@ -66,6 +165,11 @@ class AdminConfig extends ConfigReader {
       this.showHelp();
       process.exit(0);
     }
+
+    if (this.get('_hashPassword')) {
+      console.log(hashPassword(this.get('_hashPassword')));
+      process.exit(0);
+    }
   }
 
   showHelp() {
@@ -77,11 +181,30 @@ Usage: node admin.js [options]
 Options:
   --admin-port <port>         Admin server port (default: 8082)
   --admin-host <host>         Admin server host (default: 0.0.0.0)
+  --base-path, -b <path>      Materials directory for reports (default: current directory)
+  --admin-template-file <path>
+                              JSON file the template configuration is saved to
+                              (default: none, kept in memory)
+  --admin-history-limit <n>   Previous template configurations to keep (default: 20)
+  --admin-schema-file <path>  JSON schema template configuration changes must match
+  --admin-auth-file <path>    JSON file with the users and tokens allowed in
+                              (default: none, no authentication)
+  --admin-cors-origins <list> Comma-separated origins allowed to call the API
+                              from a browser, or * for any (default: none)
+  --admin-audit-file <path>   File to append the audit log of changes to
+  --hash-password <password>  Print the hash of a password for the auth file
   --help                      Show this help message
 
 Environment Variables:
   ADMIN_PORT                  Admin server port
   ADMIN_HOST                  Admin server host
+  BASE_PATH                   Materials directory for reports
+  ADMIN_TEMPLATE_FILE         JSON file the template configuration is saved to
+  ADMIN_HISTORY_LIMIT         Previous template configurations to keep
+  ADMIN_SCHEMA_FILE           JSON schema template configuration changes must match
+  ADMIN_AUTH_FILE             JSON file with the users and tokens allowed in
+  ADMIN_CORS_ORIGINS          Comma-separated origins allowed to call the API
+  ADMIN_AUDIT_FILE            File to append the audit log of changes to
 
 The admin server manages template variables for markdown processing via REST API.
     `);
@@ -94,6 +217,13 @@ The admin server manages template variables for markdown processing via REST API
 class AdminServer {
   constructor(config) {
     this.config = config;
+    this.store = config.store || new TemplateStore();
+    this.authenticators = config.authenticators || [];
+    // Saves of the template configuration, one at a time
+    this.saves = Promise.resolve();
+    if (Object.keys(config.template).length > 0) {
+      updateTemplateConfig(config.template);
+    }
     this.server = http.createServer((req, res) => this.handleRequest(req, res));
   }
 
@@ -105,6 +235,9 @@ class AdminServer {
         } else {
           console.log(`🔧 Admin server running at http://${this.config.server.host}:${this.config.server.port}`);
           console.log(`📝 Managing template variables via REST API`);
+          if (this.authenticators.length === 0) {
+            console.warn('⚠️  No admin users or tokens configured, anyone who can reach the admin server can change variables');
+          }
           resolve();
         }
       });
@@ -116,10 +249,7 @@ class AdminServer {
       const parsedUrl = url.parse(req.url, true);
       const pathname = parsedUrl.pathname;
       
-      // Set CORS headers
-      res.setHeader('Access-Control-Allow-Origin', '*');
-      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-      res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+      this.setCorsHeaders(req, res);
       
       // Handle preflight requests
       if (req.method === 'OPTIONS') {
@@ -128,23 +258,102 @@ class AdminServer {
         return;
       }
 
+      // Everything but the health check needs a user allowed to make the request
+      if (pathname !== '/health') {
+        req.user = await this.authorize(req, res, pathname);
+        if (!req.user) {
+          return;
+        }
+      }
+
       // Route requests
       if (pathname === '/health') {
         this.handleHealth(req, res);
       } else if (pathname === '/config') {
         await this.handleConfig(req, res);
-      } else if (pathname === '/') {
-        this.handleRoot(req, res);
+      } else if (pathname === '/config/variables' ||
+          pathname.startsWith('/config/variables/')) {
+        await this.handleVariables(req, res, pathname);
+      } else if (pathname.startsWith('/config/')) {
+        await this.handleConfigHistory(req, res, pathname, parsedUrl.query);
+      } else if (pathname === '/profiles' || pathname.startsWith('/profiles/')) {
+        await this.handleProfiles(req, res, pathname, parsedUrl.query);
+      } else if (pathname === '/status') {
+        await this.handleStatusReport(req, res, parsedUrl.query);
+      } else if (pathname === '/annotations') {
+        await this.handleAnnotations(req, res, parsedUrl.query);
+      } else if (pathname === '/cache') {
+        this.handleCache(req, res);
+      } else if (pathname === '/files') {
+        await this.handleFiles(req, res, parsedUrl.query);
+      } else if (pathname === '/preview') {
+        await this.handlePreview(req, res);
+      } else if (pathname === '/' || pathname.startsWith('/ui/')) {
+        await this.handleUi(req, res, pathname);
+      } else if (pathname === '/api') {
+        this.handleApiHelp(req, res);
       } else {
         this.sendResponse(res, 404, { error: 'Not found' });
       }
 
     } catch (error) {
+      if (error instanceof SchemaError) {
+        this.sendResponse(res, 422, { error: error.message, errors: error.errors });
+        return;
+      }
+      // A variable or profile name with malformed percent-encoding
+      if (error instanceof URIError) {
+        this.sendResponse(res, 400, { error: `Invalid path: ${error.message}` });
+        return;
+      }
       console.error('Error handling admin request:', error);
       this.sendResponse(res, 500, { error: 'Internal server error' });
     }
   }
 
+  /**
+   * Allows the configured origins to call the API from a browser
+   */
+  setCorsHeaders(req, res) {
+    const origins = this.config.server.corsOrigins || [];
+    const origin = req.headers.origin;
+    if (origins.includes('*')) {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+    } else if (origin && origins.includes(origin)) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+      res.setHeader('Vary', 'Origin');
+    } else {
+      return;
+    }
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  }
+
+  /**
+   * Finds the user making a request and checks their role allows it,
+   * sending 401 or 403 if not. Without configured users and tokens every
+   * request is allowed. Previews change nothing, so any user may post them.
+   * @returns {Promise<Object|null>} the user, or null if the request was
+   *  refused
+   */
+  async authorize(req, res, pathname) {
+    if (this.authenticators.length === 0) {
+      return { name: 'anonymous', role: 'readwrite' };
+    }
+
+    const user = await authenticate(req, this.authenticators);
+    if (!user) {
+      res.setHeader('WWW-Authenticate', 'Basic realm="md-handler-admin", charset="UTF-8"');
+      this.sendResponse(res, 401, { error: 'Authentication required' });
+      return null;
+    }
+    if (pathname !== '/preview' && !isAllowed(user.role, req.method)) {
+      this.sendResponse(res, 403, { error: `User "${user.name}" may not change the configuration` });
+      return null;
+    }
+    return user;
+  }
+
   handleHealth(req, res) {
     this.sendResponse(res, 200, { 
       status: 'healthy', 
@@ -153,37 +362,545 @@ class AdminServer {
     });
   }
 
+  /**
+   * Manages the template configuration as a whole:
+   * - `GET /config` returns it
+   * - `POST /config` merges the top-level keys of the body into it
+   * - `PUT /config` replaces it
+   * - `PATCH /config` applies a JSON Merge Patch (RFC 7386), where `null`
+   *   removes a key
+   */
   async handleConfig(req, res) {
     if (req.method === 'GET') {
       // Return current template variables
       this.sendResponse(res, 200, this.config.template);
-    } else if (req.method === 'POST' || req.method === 'PUT') {
-      // Update template variables in memory
+      return;
+    }
+    if (!['POST', 'PUT', 'PATCH'].includes(req.method)) {
+      this.sendResponse(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+
+    const body = await this.getJsonObject(req);
+    if (!body) {
+      this.sendResponse(res, 400, { error: 'Invalid template data' });
+      return;
+    }
+
+    const version = await this.saveTemplateConfig(current => {
+      if (req.method === 'PUT') {
+        return body;
+      }
+      return req.method === 'PATCH'
+        ? applyMergePatch(current, body)
+        : { ...current, ...body };
+    }, req.user);
+    console.log(`Template variables updated (version ${version})`);
+    this.sendResponse(res, 200, { 
+      message: 'Template variables updated successfully',
+      version,
+      config: this.config.template 
+    });
+  }
+
+  /**
+   * Manages single template variables:
+   * - `GET /config/variables` returns all variables
+   * - `GET`, `PUT` and `DELETE /config/variables/:name` read, set or remove
+   *   one variable; the `PUT` body is the JSON value
+   */
+  async handleVariables(req, res, pathname) {
+    const variables = this.config.template.variables || {};
+    const name = pathname.startsWith('/config/variables/')
+      ? decodeURIComponent(pathname.slice('/config/variables/'.length))
+      : null;
+    const exists = name !== null &&
+      Object.prototype.hasOwnProperty.call(variables, name);
+
+    if (name === null || name === '') {
+      if (req.method === 'GET') {
+        this.sendResponse(res, 200, variables);
+      } else {
+        this.sendResponse(res, 405, { error: 'Method not allowed' });
+      }
+      return;
+    }
+
+    if (req.method === 'GET') {
+      if (exists) {
+        this.sendResponse(res, 200, { name, value: variables[name] });
+      } else {
+        this.sendResponse(res, 404, { error: `Variable "${name}" not found` });
+      }
+    } else if (req.method === 'PUT') {
+      let value;
+      try {
+        value = JSON.parse(await this.getRequestBody(req));
+      } catch (error) {
+        this.sendResponse(res, 400, { error: 'Invalid variable value, expected JSON' });
+        return;
+      }
+      const version = await this.saveTemplateConfig(current => ({
+        ...current,
+        variables: { ...current.variables, [name]: value }
+      }), req.user);
+      this.sendResponse(res, exists ? 200 : 201, {
+        message: `Variable "${name}" ${exists ? 'updated' : 'created'}`,
+        version,
+        name,
+        value
+      });
+    } else if (req.method === 'DELETE') {
+      if (!exists) {
+        this.sendResponse(res, 404, { error: `Variable "${name}" not found` });
+        return;
+      }
+      const version = await this.saveTemplateConfig(current => {
+        const { [name]: removed, ...rest } = current.variables || {};
+        return { ...current, variables: rest };
+      }, req.user);
+      this.sendResponse(res, 200, { message: `Variable "${name}" deleted`, version });
+    } else {
+      this.sendResponse(res, 405, { error: 'Method not allowed' });
+    }
+  }
+
+  /**
+   * Saves a new version of the template configuration and passes it on to
+   * the file handler. Saves run one at a time, so each one builds on the
+   * configuration the one before it saved.
+   * @param {Object|Function} update - The complete template configuration,
+   *  or a function making it from the current one
+   * @param {Object} [user] - The user making the change, for the audit log
+   * @returns {Promise<number>} the new version number
+   * @throws {SchemaError} if the configuration does not match the schema
+   */
+  saveTemplateConfig(update, user) {
+    const save = this.saves.then(async () => {
+      const previous = this.config.template;
+      const template = typeof update === 'function' ? update(previous) : update;
+      if (this.config.schema) {
+        const errors = validate(template, this.config.schema);
+        if (errors.length > 0) {
+          throw new SchemaError(errors);
+        }
+      }
+      const version = await this.store.save(template);
+      this.config.template = template;
+      updateTemplateConfig(template);
+      await this.auditChange(previous, template, user, version);
+      return version;
+    });
+    // A failed save does not hold up the next one
+    this.saves = save.catch(() => {});
+    return save;
+  }
+
+  /**
+   * Logs who changed which values, to the console and to the audit file
+   * as JSON lines, if one is configured
+   * @param {Object} before - The previous configuration
+   * @param {Object} after - The new configuration
+   * @param {Object} [user] - The user making the change
+   * @param {number} version - The new version number
+   */
+  async auditChange(before, after, user, version) {
+    const diff = diffConfigs(before, after);
+    const time = new Date().toISOString();
+    const name = user?.name || 'anonymous';
+    const entries = [
+      ...Object.entries(diff.added).map(([key, to]) => ({ key, to })),
+      ...Object.entries(diff.changed).map(([key, change]) => ({ key, ...change })),
+      ...Object.entries(diff.removed).map(([key, from]) => ({ key, from, removed: true }))
+    ].map(change => ({ time, user: name, version, ...change }));
+
+    for (const entry of entries) {
+      console.log(entry.removed
+        ? `[audit] ${name} removed ${entry.key}`
+        : `[audit] ${name} set ${entry.key} to ${JSON.stringify(entry.to)}`);
+    }
+
+    const auditFile = this.config.server.auditFile;
+    if (auditFile && entries.length > 0) {
       try {
-        const body = await this.getRequestBody(req);
-        const newConfig = JSON.parse(body);
-        
-        // Update the in-memory configuration
-        this.config.template = { ...this.config.template, ...newConfig };
-        
-        // Update the file handler with new template variables
-        updateTemplateConfig(this.config.template);
-        
-        console.log('Template variables updated in memory');
-        this.sendResponse(res, 200, { 
-          message: 'Template variables updated successfully',
-          config: this.config.template 
+        await fs.appendFile(auditFile,
+          entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+      } catch (error) {
+        console.error(`Cannot write audit log "${auditFile}":`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Gives access to earlier versions of the template configuration:
+   * - `GET /config/history` lists the kept versions, newest first
+   * - `GET /config/history/:version` returns one version
+   * - `GET /config/diff?from=&to=` compares two versions, `to` defaults to
+   *   the current one
+   * - `POST /config/rollback/:version` saves an earlier version as the new
+   *   current version
+   */
+  async handleConfigHistory(req, res, pathname, query) {
+    const [, , action, versionText] = pathname.split('/');
+    const version = versionText === undefined ? null : Number(versionText);
+    const notKept = (number) => ({ error: `Version ${number} not found` });
+
+    if (action === 'history' && versionText === undefined) {
+      if (req.method !== 'GET') {
+        this.sendResponse(res, 405, { error: 'Method not allowed' });
+        return;
+      }
+      this.sendResponse(res, 200, {
+        current: this.store.version,
+        versions: this.store.listVersions()
+      });
+    } else if (action === 'history') {
+      if (req.method !== 'GET') {
+        this.sendResponse(res, 405, { error: 'Method not allowed' });
+        return;
+      }
+      const config = this.store.getVersion(version);
+      if (config) {
+        this.sendResponse(res, 200, config);
+      } else {
+        this.sendResponse(res, 404, notKept(versionText));
+      }
+    } else if (action === 'diff' && versionText === undefined) {
+      if (req.method !== 'GET') {
+        this.sendResponse(res, 405, { error: 'Method not allowed' });
+        return;
+      }
+      const from = Number(query.from);
+      const to = query.to === undefined ? this.store.version : Number(query.to);
+      const fromConfig = this.store.getVersion(from);
+      const toConfig = this.store.getVersion(to);
+      if (!fromConfig || !toConfig) {
+        this.sendResponse(res, 404, notKept(fromConfig ? query.to : query.from));
+        return;
+      }
+      this.sendResponse(res, 200, { from, to, ...diffConfigs(fromConfig, toConfig) });
+    } else if (action === 'rollback' && versionText !== undefined) {
+      if (req.method !== 'POST') {
+        this.sendResponse(res, 405, { error: 'Method not allowed' });
+        return;
+      }
+      const config = this.store.getVersion(version);
+      if (!config) {
+        this.sendResponse(res, 404, notKept(versionText));
+        return;
+      }
+      const newVersion = await this.saveTemplateConfig(config, req.user);
+      console.log(`Template variables rolled back to version ${version} (version ${newVersion})`);
+      this.sendResponse(res, 200, {
+        message: `Rolled back to version ${version}`,
+        version: newVersion,
+        config
+      });
+    } else {
+      this.sendResponse(res, 404, { error: 'Not found' });
+    }
+  }
+
+  /**
+   * Manages the attendee profiles, named sets of variables that override
+   * the shared ones for requests that select them:
+   * - `GET /profiles` lists all profiles
+   * - `POST /profiles/import` loads profiles from CSV, one row per profile
+   *   with an `id` column; `?replace=true` drops the existing profiles
+   * - `GET`, `PUT` and `DELETE /profiles/:id` manage a single profile
+   */
+  async handleProfiles(req, res, pathname, query) {
+    const profiles = this.config.template.profiles || {};
+    const id = pathname.startsWith('/profiles/')
+      ? decodeURIComponent(pathname.slice('/profiles/'.length))
+      : null;
+
+    if (id === null) {
+      if (req.method === 'GET') {
+        this.sendResponse(res, 200, {
+          count: Object.keys(profiles).length,
+          profiles
         });
+      } else {
+        this.sendResponse(res, 405, { error: 'Method not allowed' });
+      }
+      return;
+    }
+
+    if (id === 'import') {
+      if (req.method !== 'POST') {
+        this.sendResponse(res, 405, { error: 'Method not allowed' });
+        return;
+      }
+      let imported;
+      try {
+        imported = this.parseProfilesCsv(await this.getRequestBody(req));
       } catch (error) {
-        console.error('Error updating template variables:', error);
-        this.sendResponse(res, 400, { error: 'Invalid template data' });
+        this.sendResponse(res, 400, { error: error.message });
+        return;
       }
+      await this.updateProfiles(current => query.replace === 'true'
+        ? imported
+        : { ...current, ...imported }, req.user);
+      console.log(`Imported ${Object.keys(imported).length} template profiles`);
+      this.sendResponse(res, 200, {
+        message: 'Profiles imported successfully',
+        imported: Object.keys(imported)
+      });
+      return;
+    }
+
+    if (req.method === 'GET') {
+      if (Object.prototype.hasOwnProperty.call(profiles, id)) {
+        this.sendResponse(res, 200, profiles[id]);
+      } else {
+        this.sendResponse(res, 404, { error: `Profile "${id}" not found` });
+      }
+    } else if (req.method === 'PUT') {
+      const variables = await this.getJsonObject(req);
+      if (!variables) {
+        this.sendResponse(res, 400, { error: 'Invalid profile data' });
+        return;
+      }
+      await this.updateProfiles(current => ({ ...current, [id]: variables }), req.user);
+      this.sendResponse(res, 200, {
+        message: `Profile "${id}" updated successfully`,
+        profile: variables
+      });
+    } else if (req.method === 'DELETE') {
+      if (!Object.prototype.hasOwnProperty.call(profiles, id)) {
+        this.sendResponse(res, 404, { error: `Profile "${id}" not found` });
+        return;
+      }
+      await this.updateProfiles(current => {
+        const { [id]: removed, ...rest } = current;
+        return rest;
+      }, req.user);
+      this.sendResponse(res, 200, { message: `Profile "${id}" deleted` });
+    } else {
+      this.sendResponse(res, 405, { error: 'Method not allowed' });
+    }
+  }
+
+  /**
+   * Parses profiles from CSV. The `id` (or `profile`) column names each
+   * profile, the other columns are variables. Empty cells are left out so
+   * the shared value or default applies.
+   * @param {string} csv - CSV text with a header row
+   * @returns {Object} profiles by name
+   */
+  parseProfilesCsv(csv) {
+    const rows = parseCsvObjects(csv);
+    if (rows.length === 0) {
+      throw new Error('No profiles found in CSV');
+    }
+    const idColumn = ['id', 'profile'].find(column => column in rows[0]);
+    if (!idColumn) {
+      throw new Error('CSV must have an "id" column');
+    }
+
+    const profiles = {};
+    rows.forEach((row, index) => {
+      const id = row[idColumn].trim();
+      if (!id) {
+        throw new Error(`Missing profile id on row ${index + 2}`);
+      }
+      profiles[id] = {};
+      for (const [column, value] of Object.entries(row)) {
+        if (column !== idColumn && column && value !== '') {
+          profiles[id][column] = value;
+        }
+      }
+    });
+    return profiles;
+  }
+
+  /**
+   * Replaces the profiles and saves the template configuration
+   * @param {Object|Function} update - Profiles by name, or a function making
+   *  them from the current ones
+   * @param {Object} [user] - The user making the change, for the audit log
+   * @returns {Promise<number>} the new version number
+   */
+  async updateProfiles(update, user) {
+    return await this.saveTemplateConfig(current => ({
+      ...current,
+      profiles: typeof update === 'function' ? update(current.profiles || {}) : update
+    }), user);
+  }
+
+  /**
+   * Reports the status block of every page, as JSON or as an HTML table
+   * (`?format=html` or an `Accept: text/html` request)
+   */
+  async handleStatusReport(req, res, query) {
+    if (req.method !== 'GET') {
+      this.sendResponse(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+
+    const report = await collectStatusReport(this.config.server.basePath);
+    if (this.wantsHtml(req, query)) {
+      this.sendHtml(res, 200, renderStatusReportHtml(report));
+    } else {
+      this.sendResponse(res, 200, report);
+    }
+  }
+
+  /**
+   * Lists the comment and issue annotations of every page, as JSON, CSV
+   * (`?format=csv`) or an HTML table (`?format=html`), optionally filtered
+   * with `?author=` and `?type=`
+   */
+  async handleAnnotations(req, res, query) {
+    if (req.method !== 'GET') {
+      this.sendResponse(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+
+    const filter = { author: query.author, type: query.type };
+    const all = await collectAnnotations(this.config.server.basePath);
+    const annotations = filterAnnotations(all, filter);
+
+    if (query.format === 'csv') {
+      const csv = renderAnnotationsCsv(annotations);
+      res.writeHead(200, {
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': 'attachment; filename="annotations.csv"',
+        'Content-Length': Buffer.byteLength(csv)
+      });
+      res.end(csv);
+    } else if (this.wantsHtml(req, query)) {
+      const authors = [...new Set(all.map(a => a.author).filter(a => a))].sort();
+      this.sendHtml(res, 200, renderAnnotationsHtml(annotations, filter, authors));
+    } else {
+      this.sendResponse(res, 200, {
+        count: annotations.length,
+        annotations
+      });
+    }
+  }
+
+  /**
+   * Checks whether a report should be returned as HTML
+   */
+  wantsHtml(req, query) {
+    if (query.format) {
+      return query.format === 'html';
+    }
+    return (req.headers.accept || '').includes('text/html');
+  }
+
+  /**
+   * Serves the single-page admin UI: `/` and the files under `/ui/`
+   */
+  async handleUi(req, res, pathname) {
+    const name = pathname === '/' ? 'index.html' : pathname.slice('/ui/'.length);
+    if (!Object.prototype.hasOwnProperty.call(UI_FILES, name)) {
+      this.sendResponse(res, 404, { error: 'Not found' });
+      return;
+    }
+    if (req.method !== 'GET') {
+      this.sendResponse(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+    const content = await fs.readFile(path.join(UI_DIR, name));
+    res.writeHead(200, {
+      'Content-Type': UI_FILES[name],
+      'Content-Length': content.length
+    });
+    res.end(content);
+  }
+
+  /**
+   * Reports the rendered page cache statistics (`GET /cache`) or empties
+   * the cache (`DELETE /cache`)
+   */
+  handleCache(req, res) {
+    if (req.method === 'GET') {
+      this.sendResponse(res, 200, getRenderCacheStats());
+    } else if (req.method === 'DELETE') {
+      clearRenderCache();
+      console.log(`Render cache cleared by ${req.user?.name || 'anonymous'}`);
+      this.sendResponse(res, 200, { message: 'Render cache cleared' });
     } else {
       this.sendResponse(res, 405, { error: 'Method not allowed' });
     }
   }
 
-  handleRoot(req, res) {
+  /**
+   * Lists a directory of the materials: `GET /files?path=tracks/lab1`
+   */
+  async handleFiles(req, res, query) {
+    if (req.method !== 'GET') {
+      this.sendResponse(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+    const directory = query.path || '';
+    let entries;
+    try {
+      entries = await listDirectory(this.config.server.basePath, directory);
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+        this.sendResponse(res, 404, { error: `Directory "${directory}" not found` });
+      } else if (!error.code) {
+        this.sendResponse(res, 403, { error: error.message });
+      } else {
+        throw error;
+      }
+      return;
+    }
+    this.sendResponse(res, 200, { path: directory, entries });
+  }
+
+  /**
+   * Renders a markdown page with draft template variables, without saving
+   * them: `POST /preview` with `{ "path": "tracks/lab1/lab.md",
+   * "template": { "variables": { ... } } }`. Unresolved variables are
+   * listed at the top of the page.
+   */
+  async handlePreview(req, res) {
+    if (req.method !== 'POST') {
+      this.sendResponse(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+    const body = await this.getJsonObject(req);
+    if (!body || typeof body.path !== 'string' || !/\.md$/i.test(body.path)) {
+      this.sendResponse(res, 400, { error: 'Expected the path of a markdown page' });
+      return;
+    }
+
+    const basePath = path.resolve(this.config.server.basePath);
+    const markdownPath = path.resolve(basePath, body.path.replace(/^\/+/, ''));
+    const relative = path.relative(basePath, markdownPath);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      this.sendResponse(res, 403, { error: 'Directory traversal not allowed' });
+      return;
+    }
+
+    const template = body.template || this.config.template;
+    try {
+      const html = await renderMarkdownPage(markdownPath, basePath, {
+        templatePolicy: 'warn',
+        templateVariables: template.variables || {},
+        cache: false
+      });
+      this.sendHtml(res, 200, html);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.sendResponse(res, 404, { error: `Page "${body.path}" not found` });
+      } else if (error instanceof TemplateError || error instanceof FrontMatterError) {
+        this.sendResponse(res, 422, { error: error.message });
+      } else {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Lists the REST API endpoints
+   */
+  handleApiHelp(req, res) {
     const html = `
 <!DOCTYPE html>
 <html>
@@ -197,7 +914,7 @@ class AdminServer {
 </head>
 <body>
   <h1>MD Handler Admin Server</h1>
-  <p>Admin interface for managing template variables in memory.</p>
+  <p>REST API for managing template variables. The <a href="/">admin UI</a> uses these endpoints.</p>
   
   <div class="endpoint">
     <h3>GET /health</h3>
@@ -210,16 +927,93 @@ class AdminServer {
   </div>
   
   <div class="endpoint">
-    <h3>POST /config</h3>
-    <p>Update template variables (in memory only)</p>
+    <h3>POST, PUT, PATCH /config</h3>
+    <p>Update template variables, saving a new version: <code>POST</code> merges top-level keys, <code>PUT</code> replaces everything, <code>PATCH</code> applies a JSON Merge Patch. Changes are checked against the schema, if one is configured</p>
+  </div>
+
+  <div class="endpoint">
+    <h3>GET, PUT, DELETE /config/variables/:name</h3>
+    <p>Read, set or remove a single variable; <code>GET /config/variables</code> lists them all</p>
+  </div>
+
+  <div class="endpoint">
+    <h3>GET /config/history</h3>
+    <p>List the kept versions of the template variables; <code>GET /config/history/:version</code> returns one of them</p>
+  </div>
+
+  <div class="endpoint">
+    <h3>GET /config/diff?from=&amp;to=</h3>
+    <p>Variables added, removed and changed between two versions (<code>to</code> defaults to the current version)</p>
+  </div>
+
+  <div class="endpoint">
+    <h3>POST /config/rollback/:version</h3>
+    <p>Restore an earlier version, saved as a new version</p>
+  </div>
+
+  <div class="endpoint">
+    <h3>GET /profiles</h3>
+    <p>List attendee profiles, per-attendee variables selected with <code>?profile=</code>, the <code>X-Jam-Profile</code> header or the <code>jam-profile</code> cookie</p>
+  </div>
+
+  <div class="endpoint">
+    <h3>POST /profiles/import</h3>
+    <p>Load profiles from CSV with an <code>id</code> column and one column per variable (<code>?replace=true</code> drops existing profiles)</p>
+  </div>
+
+  <div class="endpoint">
+    <h3>GET, PUT, DELETE /profiles/:id</h3>
+    <p>Read, replace or delete a single profile</p>
+  </div>
+
+  <div class="endpoint">
+    <h3>GET, DELETE /cache</h3>
+    <p>Hits, misses and size of the rendered page cache, or empty it</p>
+  </div>
+
+  <div class="endpoint">
+    <h3>GET /files?path=</h3>
+    <p>List a directory of the materials</p>
+  </div>
+
+  <div class="endpoint">
+    <h3>POST /preview</h3>
+    <p>Render a page with draft variables without saving them, e.g. <code>{"path": "tracks/lab1/lab.md", "template": {"variables": {}}}</code></p>
+  </div>
+
+  <div class="endpoint">
+    <h3>GET /status</h3>
+    <p>Review status of every page, as JSON or as an <a href="/status?format=html">HTML report</a></p>
+  </div>
+
+  <div class="endpoint">
+    <h3>GET /annotations</h3>
+    <p>All comments and issues in the materials as JSON, <a href="/annotations?format=csv">CSV</a> or an <a href="/annotations?format=html">HTML table</a>. Filter with <code>?author=</code> and <code>?type=comment|issue</code></p>
   </div>
   
-  <p>Template variables are managed in memory and reset on server restart.</p>
+  <p>${this.store.filePath
+    ? `Template variables are saved to <code>${escapeHtml(this.store.filePath)}</code> and keep ${this.store.historyLimit} previous versions.`
+    : 'Template variables are managed in memory and reset on server restart. Set <code>ADMIN_TEMPLATE_FILE</code> to keep them.'}</p>
 </body>
 </html>`;
     
-    res.writeHead(200, { 'Content-Type': 'text/html' });
-    res.end(html);
+    this.sendHtml(res, 200, html);
+  }
+
+  /**
+   * Reads a request body that must be a JSON object
+   * @returns {Promise<Object|null>} the object, or null if the body is not
+   *  a JSON object
+   */
+  async getJsonObject(req) {
+    try {
+      const body = JSON.parse(await this.getRequestBody(req));
+      return body && typeof body === 'object' && !Array.isArray(body)
+        ? body
+        : null;
+    } catch (error) {
+      return null;
+    }
   }
 
   async getRequestBody(req) {
@@ -231,6 +1025,14 @@ class AdminServer {
     });
   }
 
+  sendHtml(res, status, html) {
+    res.writeHead(status, {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Content-Length': Buffer.byteLength(html)
+    });
+    res.end(html);
+  }
+
   sendResponse(res, status, data) {
     const response = JSON.stringify(data, null, 2);
     res.writeHead(status, { 
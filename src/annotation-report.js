@@ -0,0 +1,153 @@
+'use strict';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { parseMarkdown } from './file-handler.js';
+import { parseFrontMatter } from './front-matter.js';
+import { listMarkdownFiles, getPageUrl } from './materials.js';
+import { findInlineTokens } from './status-report.js';
+import { escapeHtml } from './html.js';
+import { toCsv } from './csv.js';
+
+/**
+ * Collects the `${comment ...}` and `${issue ...}` annotations of every page
+ * in the materials tree
+ */
+
+const ANNOTATION_TYPES = ['comment', 'issue'];
+const ANNOTATION_COLUMNS = ['type', 'file', 'line', 'author', 'message'];
+
+/**
+ * Reads the annotations of one page
+ * @param {string} basePath - The base directory files are served from
+ * @param {string} relativePath - Path of the page relative to the base path
+ * @returns {Promise<Object[]>} the annotations in the page
+ */
+async function readPageAnnotations(basePath, relativePath) {
+  const content = await fs.readFile(path.join(basePath, relativePath), 'utf8');
+  const frontMatter = parseFrontMatter(content);
+  const tokens = parseMarkdown(frontMatter.content, { followIncludes: false });
+
+  const annotations = [];
+  for (const type of ANNOTATION_TYPES) {
+    for (const { token, line } of findInlineTokens(tokens, type)) {
+      annotations.push({
+        type,
+        file: relativePath,
+        url: getPageUrl(relativePath),
+        line: frontMatter.lines + line + (token.meta?.line || 0) + 1,
+        author: token.meta?.author || '',
+        message: token.content
+      });
+    }
+  }
+
+  return annotations.sort((a, b) => a.line - b.line);
+}
+
+/**
+ * Collects all annotations under the base path
+ * @param {string} basePath - The base directory files are served from
+ * @returns {Promise<Object[]>} the annotations, by file and line
+ */
+async function collectAnnotations(basePath) {
+  const annotations = [];
+  for (const file of await listMarkdownFiles(basePath)) {
+    try {
+      annotations.push(...await readPageAnnotations(basePath, file));
+    } catch (error) {
+      console.warn(`Cannot read annotations of "${file}": ${error.message}`);
+    }
+  }
+  return annotations;
+}
+
+/**
+ * Filters annotations by author and type
+ * @param {Object[]} annotations - Annotations from `collectAnnotations`
+ * @param {Object} [filter]
+ * @param {string} [filter.author] - Only annotations by this author
+ * @param {string} [filter.type] - Only `comment` or `issue` annotations
+ * @returns {Object[]} the matching annotations
+ */
+function filterAnnotations(annotations, filter = {}) {
+  const author = filter.author?.replace(/^@/, '');
+  return annotations.filter(annotation =>
+    (!author || annotation.author === author) &&
+    (!filter.type || annotation.type === filter.type)
+  );
+}
+
+/**
+ * Converts annotations to CSV
+ * @param {Object[]} annotations - Annotations from `collectAnnotations`
+ * @returns {string} CSV text with a header row
+ */
+function renderAnnotationsCsv(annotations) {
+  return toCsv(annotations, ANNOTATION_COLUMNS);
+}
+
+/**
+ * Renders annotations as an HTML page with author and type filters
+ * @param {Object[]} annotations - Annotations from `collectAnnotations`
+ * @param {Object} [filter] - The filter the annotations were collected with
+ * @param {string[]} [authors] - All authors, for the filter options
+ * @returns {string} complete HTML document
+ */
+function renderAnnotationsHtml(annotations, filter = {}, authors = []) {
+  const option = (value, label, selected) =>
+    `<option value="${escapeHtml(value)}"${selected ? ' selected' : ''}>${escapeHtml(label)}</option>`;
+
+  const authorOptions = [option('', 'All authors', !filter.author)]
+    .concat(authors.map(author =>
+      option(author, '@' + author, filter.author === author)))
+    .join('');
+  const typeOptions = [option('', 'All types', !filter.type)]
+    .concat(ANNOTATION_TYPES.map(type =>
+      option(type, type, filter.type === type)))
+    .join('');
+
+  const rows = annotations.map(annotation => `
+    <tr class="${annotation.type}">
+      <td>${escapeHtml(annotation.type)}</td>
+      <td><a href="${escapeHtml(annotation.url)}">${escapeHtml(annotation.file)}</a>:${annotation.line}</td>
+      <td>${annotation.author ? '@' + escapeHtml(annotation.author) : ''}</td>
+      <td>${escapeHtml(annotation.message)}</td>
+    </tr>`).join('');
+
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <title>MD Handler Annotations</title>
+  <style>
+    body { font-family: Arial, sans-serif; margin: 40px; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border: 1px solid #ddd; padding: 8px; text-align: left; vertical-align: top; }
+    th { background: #f5f5f5; }
+    tr.issue td:first-child { color: #c00; font-weight: bold; }
+    form { margin: 20px 0; }
+  </style>
+</head>
+<body>
+  <h1>Comments and Issues</h1>
+  <form method="get">
+    <input type="hidden" name="format" value="html">
+    <select name="author">${authorOptions}</select>
+    <select name="type">${typeOptions}</select>
+    <button type="submit">Filter</button>
+  </form>
+  <p>${annotations.length} annotations</p>
+  <table>
+    <tr><th>Type</th><th>Location</th><th>Author</th><th>Message</th></tr>${rows}
+  </table>
+</body>
+</html>`;
+}
+
+export {
+  ANNOTATION_TYPES,
+  collectAnnotations,
+  filterAnnotations,
+  renderAnnotationsCsv,
+  renderAnnotationsHtml
+};
@@ -38,14 +38,16 @@ class ConfigReader {
   }
 
   /**
-   * Load configuration from a JSON file
+   * Load configuration from a JSON file. With a prefix the prefixed keys
+   * (such as `admin-port` for `port`) override the unprefixed ones, so
+   * several servers can share one file.
    */
   async loadConfigFile() {
     try {
       const configPath = path.join(__dirname, '..', this.configFileName);
       const configData = await fs.readFile(configPath, 'utf8');
       const fileConfig = JSON.parse(configData);
-      Object.assign(this.config, fileConfig);
+      Object.assign(this.config, this.selectOwnKeys(fileConfig));
       console.log(`Loaded ${this.prefix}config from file:`, configPath);
     } catch (error) {
       // Config file is optional
@@ -55,6 +57,25 @@ class ConfigReader {
     }
   }
 
+  /**
+   * Selects the keys of a config file for this reader: all of them, with
+   * the prefixed ones in place of the unprefixed ones they name
+   * @param {Object} fileConfig - The parsed config file
+   * @returns {Object} the configuration
+   */
+  selectOwnKeys(fileConfig) {
+    if (!this.prefix) {
+      return fileConfig;
+    }
+    const own = { ...fileConfig };
+    for (const [key, value] of Object.entries(fileConfig)) {
+      if (key.startsWith(this.prefix)) {
+        own[key.slice(this.prefix.length)] = value;
+      }
+    }
+    return own;
+  }
+
   /**
    * Load configuration from environment variables
    */
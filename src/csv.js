@@ -0,0 +1,109 @@
+'use strict';
+
+/**
+ * Minimal CSV (RFC 4180) helpers
+ */
+
+// Spreadsheets run fields starting with these as formulas, and skip a
+// leading tab or carriage return before one
+const FORMULA_PATTERN = /^[=+\-@\t\r]/;
+
+/**
+ * Quotes a CSV field if needed. Fields that a spreadsheet would run as a
+ * formula get a `'` in front, so they are shown as text.
+ * @param {*} value - The field value
+ * @returns {string} the encoded field
+ */
+function encodeField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (FORMULA_PATTERN.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Converts a list of objects to CSV with a header row
+ * @param {Object[]} rows - The rows
+ * @param {string[]} columns - The object keys to write, in order
+ * @returns {string} CSV text
+ */
+function toCsv(rows, columns) {
+  const lines = [columns.map(encodeField).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => encodeField(row[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Parses CSV text into rows of fields. Handles quoted fields with embedded
+ * commas, quotes and line breaks.
+ * @param {string} text - CSV text
+ * @returns {string[][]} the rows, without empty lines
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          quoted = false;
+        }
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+}
+
+/**
+ * Parses CSV text with a header row into objects
+ * @param {string} text - CSV text
+ * @returns {Object[]} one object per row, keyed by the trimmed headers
+ */
+function parseCsvObjects(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    return [];
+  }
+  const columns = header.map(column => column.trim());
+  return rows.map(row => Object.fromEntries(
+    columns.map((column, i) => [column, row[i] ?? ''])
+  ));
+}
+
+export { toCsv, parseCsv, parseCsvObjects };
@@ -0,0 +1,164 @@
+'use strict';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * Directory-scoped template variables.
+ *
+ * Any directory in the materials tree may contain a `_variables.json` file
+ * with a map of variable values. The files from the base path down to the
+ * directory of the requested page are merged, with the nearest file winning.
+ * The `SETTINGS` keys in the files configure the pages instead, and are not
+ * template variables.
+ */
+
+const VARIABLES_FILE_NAME = '_variables.json';
+
+// Keys of the variables files that are page settings
+const SETTINGS = ['layout', 'autoIndex', 'pageNavigation'];
+
+// variables file path -> { mtimeMs, variables }
+const fileCache = new Map();
+// directory path -> { signature, variables, settings }
+const mergedCache = new Map();
+
+/**
+ * Lists the directories from the base path down to the given directory
+ * @param {string} directory - Absolute directory inside the base path
+ * @param {string} basePath - The base directory files are served from
+ * @returns {string[]} directories, base path first
+ */
+function getDirectoryChain(directory, basePath) {
+  const root = path.resolve(basePath);
+  const relative = path.relative(root, path.resolve(directory));
+  const chain = [root];
+  if (relative && !relative.startsWith('..') && !path.isAbsolute(relative)) {
+    let current = root;
+    for (const segment of relative.split(path.sep)) {
+      current = path.join(current, segment);
+      chain.push(current);
+    }
+  }
+  return chain;
+}
+
+/**
+ * Gets the modification time of a variables file
+ * @param {string} filePath - Path to the variables file
+ * @returns {Promise<number|null>} the mtime, or null if there is no file
+ */
+async function getMtime(filePath) {
+  try {
+    const stats = await fs.stat(filePath);
+    return stats.mtimeMs;
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Reads a variables file, using the cached copy if it has not changed
+ * @param {string} filePath - Path to the variables file
+ * @param {number} mtimeMs - Current modification time of the file
+ * @returns {Promise<Object>} the variables in the file
+ */
+async function readVariablesFile(filePath, mtimeMs) {
+  const cached = fileCache.get(filePath);
+  if (cached && cached.mtimeMs === mtimeMs) {
+    return cached.variables;
+  }
+
+  let variables;
+  try {
+    variables = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid variables file "${filePath}": ${error.message}`);
+  }
+  if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+    throw new Error(
+      `Invalid variables file "${filePath}": expected a map of values`
+    );
+  }
+
+  fileCache.set(filePath, { mtimeMs, variables });
+  return variables;
+}
+
+/**
+ * Gets the merged values of the variables files that apply to a file
+ * @param {string} filePath - Absolute path of the requested file
+ * @param {string} basePath - The base directory files are served from
+ * @returns {Promise<{variables: Object, settings: Object}>} the merged
+ *  values, nearest directory winning, split into template variables and
+ *  `SETTINGS`
+ */
+async function readDirectoryValues(filePath, basePath) {
+  const directory = path.dirname(path.resolve(filePath));
+  const files = getDirectoryChain(directory, basePath)
+    .map(dir => path.join(dir, VARIABLES_FILE_NAME));
+  const mtimes = await Promise.all(files.map(getMtime));
+
+  // the merged result is valid as long as no file in the chain has been
+  // added, removed or modified
+  const signature = mtimes.join('|');
+  const cached = mergedCache.get(directory);
+  if (cached && cached.signature === signature) {
+    return cached;
+  }
+
+  const variables = {};
+  const settings = {};
+  for (let i = 0; i < files.length; i++) {
+    if (mtimes[i] === null) {
+      fileCache.delete(files[i]);
+      continue;
+    }
+    for (const [key, value] of
+      Object.entries(await readVariablesFile(files[i], mtimes[i]))) {
+      (SETTINGS.includes(key) ? settings : variables)[key] = value;
+    }
+  }
+
+  const merged = { signature, variables, settings };
+  mergedCache.set(directory, merged);
+  return merged;
+}
+
+/**
+ * Gets the merged directory variables that apply to a file
+ * @param {string} filePath - Absolute path of the requested file
+ * @param {string} basePath - The base directory files are served from
+ * @returns {Promise<Object>} merged variables, nearest directory winning
+ */
+async function getDirectoryVariables(filePath, basePath) {
+  return (await readDirectoryValues(filePath, basePath)).variables;
+}
+
+/**
+ * Gets the merged directory settings that apply to a file
+ * @param {string} filePath - Absolute path of the requested file
+ * @param {string} basePath - The base directory files are served from
+ * @returns {Promise<Object>} the `SETTINGS` given, nearest directory winning
+ */
+async function getDirectorySettings(filePath, basePath) {
+  return (await readDirectoryValues(filePath, basePath)).settings;
+}
+
+/**
+ * Drops all cached directory variables
+ */
+function clearDirectoryVariablesCache() {
+  fileCache.clear();
+  mergedCache.clear();
+}
+
+export {
+  VARIABLES_FILE_NAME,
+  getDirectoryChain,
+  getDirectoryVariables,
+  getDirectorySettings,
+  clearDirectoryVariablesCache
+};
@@ -0,0 +1,16 @@
+'use strict';
+import { EventEmitter } from 'events';
+
+/**
+ * Events shared between the servers and the file handler:
+ * - `FILE_CHANGED` with `{ path }`, the absolute path of a file under the
+ *   base path that was created, changed or removed
+ * - `TEMPLATE_CONFIG_CHANGED` with the new template configuration
+ */
+
+const FILE_CHANGED = 'file-changed';
+const TEMPLATE_CONFIG_CHANGED = 'template-config-changed';
+
+const events = new EventEmitter();
+
+export { events, FILE_CHANGED, TEMPLATE_CONFIG_CHANGED };
@@ -0,0 +1,438 @@
+#!/usr/bin/env node
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import {
+  renderMarkdownPage,
+  renderDirectoryIndex,
+  isDebugMode,
+  updateTemplateConfig,
+  TEMPLATE_POLICIES,
+  SETTINGS_FILES
+} from './file-handler.js';
+import { ConfigReader } from './config-reader.js';
+import { INCLUDES, includeHtml, configureIncludes } from './includes.js';
+import { isIgnoredEntry, isFragmentPath } from './materials.js';
+import { TemplateStore } from './template-store.js';
+
+/**
+ * Static export of the materials tree.
+ *
+ * Every markdown page is rendered as the server would render it, with the
+ * includes embedded, and written next to copies of the other files.
+ * Directories without an index page get a listing, and the fragments pages
+ * include are not exported on their own. Links are rewritten to relative
+ * `.html` paths so the folder can be opened without a server.
+ */
+
+// Directories of the assets directory the includes refer to
+const ASSET_PATHS = ['js', 'public'];
+
+// Links of a rendered page to the assets
+const ASSET_LINK_PATTERN = new RegExp(
+  `\\s(?:href|src)\\s*=\\s*["']/(${ASSET_PATHS.join('|')})/`, 'gi'
+);
+
+/**
+ * Export configuration using the shared ConfigReader. Keys in config.json
+ * take an `export-` prefix, over the main server's unprefixed ones such as
+ * `basePath`.
+ */
+class ExportConfig extends ConfigReader {
+  constructor() {
+    super({
+      prefix: 'export-',
+      configFileName: 'config.json',
+      envPrefix: 'EXPORT_',
+      defaults: {
+        out: 'dist',
+        basePath: process.cwd(),
+        templatePolicy: 'warn',
+        templateFile: null,
+        variablesFile: null,
+        includesDir: null,
+        assetsDir: null
+      }
+    });
+  }
+
+  /**
+   * Load environment variables specific to the export
+   */
+  loadFromEnv() {
+    const envMapping = {
+      'EXPORT_OUT': { key: 'out', type: 'string' },
+      'BASE_PATH': { key: 'basePath', type: 'string' },
+      'TEMPLATE_POLICY': { key: 'templatePolicy', type: 'string' },
+      'ADMIN_TEMPLATE_FILE': { key: 'templateFile', type: 'string' },
+      'EXPORT_VARIABLES_FILE': { key: 'variablesFile', type: 'string' },
+      'INCLUDES_DIR': { key: 'includesDir', type: 'string' },
+      'ASSETS_DIR': { key: 'assetsDir', type: 'string' }
+    };
+    this.parseEnv(envMapping);
+  }
+
+  /**
+   * Load command line arguments specific to the export
+   */
+  loadFromArgs() {
+    const argMapping = {
+      '--out': { key: 'out', type: 'string' },
+      '-o': { key: 'out', type: 'string' },
+      '--base-path': { key: 'basePath', type: 'string' },
+      '-b': { key: 'basePath', type: 'string' },
+      '--template-policy': { key: 'templatePolicy', type: 'string' },
+      '--template-file': { key: 'templateFile', type: 'string' },
+      '--variables': { key: 'variablesFile', type: 'string' },
+      '--includes-dir': { key: 'includesDir', type: 'string' },
+      '--assets-dir': { key: 'assetsDir', type: 'string' },
+      '--help': { key: '_help', type: 'boolean' }
+    };
+
+    this.parseArgs(argMapping);
+
+    if (this.get('_help')) {
+      this.showHelp();
+      process.exit(0);
+    }
+  }
+
+  showHelp() {
+    console.log(`
+MD Handler Static Export
+
+Usage: npm run export -- [options]
+
+Options:
+  --out, -o <path>         Directory to write the site to (default: dist)
+  --base-path, -b <path>   Materials directory to export (default: current
+                           directory)
+  --variables <file>       JSON file of variable values for the event, over
+                           those of the template configuration
+  --template-file <file>   Saved template configuration of the admin server
+  --template-policy <p>    Unresolved template variables: lenient, warn or
+                           strict (default: warn)
+  --includes-dir <path>    Read the page includes from this directory instead
+                           of the includes service
+  --assets-dir <path>      Copy /js and /public from this directory
+  --help                   Show this help message
+
+Environment Variables:
+  EXPORT_OUT               Directory to write the site to
+  EXPORT_VARIABLES_FILE    JSON file of variable values
+  BASE_PATH                Materials directory to export
+  TEMPLATE_POLICY          Handling of unresolved template variables
+  ADMIN_TEMPLATE_FILE      Saved template configuration
+  INCLUDES_DIR             Directory to read the page includes from
+  INCLUDES_SERVICE_HOST    Host of the includes service (default: localhost)
+  INCLUDES_SERVICE_PORT    Port of the includes service (default: 80)
+  ASSETS_DIR               Directory to copy /js and /public from
+
+Priority: Command line options > Environment variables > Config file > Defaults
+    `);
+  }
+}
+
+/**
+ * Gets the exported path of a markdown page
+ * @param {string} relativePath - Page path relative to the base path, using
+ *  `/` separators
+ * @returns {string} the same path ending in `.html`
+ */
+function getExportPath(relativePath) {
+  return relativePath.replace(/\.md$/i, '.html');
+}
+
+/**
+ * Rewrites a link of an exported page so it works without a server:
+ * absolute paths become relative to the page, markdown pages become their
+ * `.html` files and directories their `index.html`
+ * @param {string} url - The link
+ * @param {string} pagePath - Exported path of the page relative to the
+ *  site root, using `/` separators
+ * @param {Set<string>} [directories] - Directories of the site, relative to
+ *  its root, so links to them without a trailing `/` are recognized
+ * @returns {string} the rewritten link
+ */
+function rewriteLink(url, pagePath, directories = new Set()) {
+  // Leave other sites, in-page anchors and data alone
+  if (!url || url.startsWith('#') || url.startsWith('//')
+    || /^[a-z][a-z\d+.-]*:/i.test(url)) {
+    return url;
+  }
+  const match = /^([^?#]*)(.*)$/.exec(url);
+  let target = match[1];
+  const suffix = match[2];
+  if (!target) {
+    return url;
+  }
+
+  const pageDir = path.posix.dirname(`/${pagePath}`);
+  const isDirectory = directories.has(
+    path.posix.resolve(pageDir, target).slice(1)
+  );
+  if (target.startsWith('/')) {
+    const relative = path.posix.relative(pageDir, target);
+    target = target.endsWith('/') && relative ? `${relative}/` : relative;
+  }
+  if (isDirectory && target && !target.endsWith('/')) {
+    target += '/';
+  }
+  if (target === '' || target.endsWith('/')) {
+    target += 'index.html';
+  } else if (/\.md$/i.test(target)) {
+    target = getExportPath(target);
+  }
+  return target + suffix;
+}
+
+/**
+ * Rewrites the `href` and `src` links of an exported page
+ * @param {string} html - The page
+ * @param {string} pagePath - Exported path of the page relative to the
+ *  site root, using `/` separators
+ * @param {Set<string>} [directories] - Directories of the site, relative to
+ *  its root
+ * @returns {string} the page with rewritten links
+ */
+function rewriteLinks(html, pagePath, directories) {
+  return html.replace(
+    /(\s(?:href|src)\s*=\s*)(["'])(.*?)\2/gi,
+    (attribute, name, quote, url) =>
+      `${name}${quote}${rewriteLink(url, pagePath, directories)}${quote}`
+  );
+}
+
+/**
+ * Lists the files and directories to export
+ * @param {string} basePath - The materials directory
+ * @param {string} outDir - The output directory, left out if it is inside
+ *  the materials
+ * @returns {Promise<{files: string[], directories: string[]}>} paths
+ *  relative to the base path, using `/` separators, in sorted order; the
+ *  directories start with the base path itself, as `''`
+ */
+async function listFiles(basePath, outDir) {
+  const files = [];
+  const directories = [];
+
+  const walk = async (relativeDir) => {
+    const directory = path.join(basePath, relativeDir);
+    if (path.resolve(directory) === path.resolve(outDir)) return;
+    directories.push(relativeDir);
+    const entries = await fs.readdir(directory, { withFileTypes: true });
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+      if (isIgnoredEntry(entry.name)) continue;
+      const relativePath = relativeDir
+        ? `${relativeDir}/${entry.name}`
+        : entry.name;
+      if (entry.isDirectory()) {
+        await walk(relativePath);
+      } else if (entry.isFile()) {
+        files.push(relativePath);
+      }
+    }
+  };
+
+  await walk('');
+  return { files, directories };
+}
+
+/**
+ * Writes a file, creating its directory
+ * @param {string} filePath - The file
+ * @param {string|Buffer} content - Its content
+ */
+async function writeFile(filePath, content) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, content);
+}
+
+/**
+ * Exports the materials as a static site
+ * @param {Object} options
+ * @param {string} options.basePath - The materials directory
+ * @param {string} options.outDir - Directory to write the site to
+ * @param {string} [options.assetsDir] - Directory whose `js` and `public`
+ *  folders are copied along
+ * @param {string} [options.templatePolicy] - How unresolved template
+ *  variables are handled, one of `TEMPLATE_POLICIES`
+ * @returns {Promise<{pages: number, files: number, errors: string[],
+ *  missingAssets: string[]}>} the number of pages rendered, directory
+ *  listings included, and files copied, the pages that failed and the asset
+ *  directories the pages link to that were not copied
+ */
+async function exportSite({ basePath, outDir, assetsDir, templatePolicy = 'warn' }) {
+  const summary = { pages: 0, files: 0, errors: [], missingAssets: [] };
+  // Asset directories the pages link to
+  const linkedAssets = new Set();
+
+  // Fetch the includes once up front, so a failure is reported once
+  for (const include of await Promise.all(INCLUDES.map(name => includeHtml(name)))) {
+    if (include.error) {
+      console.warn(`Exporting with a default include: ${include.error}`);
+    }
+  }
+
+  const { files, directories } = await listFiles(basePath, outDir);
+  const fileSet = new Set(files);
+  const directorySet = new Set(directories);
+  const writePage = async (exportPath, html) => {
+    for (const match of html.matchAll(ASSET_LINK_PATTERN)) {
+      linkedAssets.add(match[1]);
+    }
+    await writeFile(path.join(outDir, exportPath),
+      rewriteLinks(html, exportPath, directorySet));
+  };
+  const exportPage = async (exportPath, render) => {
+    await writePage(exportPath, await render());
+    summary.pages++;
+  };
+
+  for (const file of files) {
+    const source = path.join(basePath, file);
+    if (/\.md$/i.test(file)) {
+      // A static HTML file of the same name is served instead of the page,
+      // and fragments are only part of the pages that include them
+      if (fileSet.has(getExportPath(file)) || isFragmentPath(file)) continue;
+      const exportPath = getExportPath(file);
+      try {
+        await exportPage(exportPath, () => renderMarkdownPage(source, basePath, {
+          templatePolicy,
+          cache: false,
+          liveReload: false
+        }));
+      } catch (error) {
+        console.error(`Cannot export ${file}: ${error.message}`);
+        summary.errors.push(file);
+      }
+    } else if (/\.html?$/i.test(file)) {
+      // Static pages link to the materials as the rendered ones do
+      await writePage(file, await fs.readFile(source, 'utf8'));
+      summary.files++;
+    } else if (!SETTINGS_FILES.includes(path.posix.basename(file))) {
+      await fs.mkdir(path.dirname(path.join(outDir, file)), { recursive: true });
+      await fs.copyFile(source, path.join(outDir, file));
+      summary.files++;
+    }
+  }
+
+  // Without a server, a directory needs an index page for its links, such
+  // as the breadcrumbs' Home, to work
+  for (const directory of directories) {
+    const prefix = directory ? `${directory}/` : '';
+    if (isFragmentPath(`${prefix}index.md`)
+      || fileSet.has(`${prefix}index.md`) || fileSet.has(`${prefix}index.html`)) {
+      continue;
+    }
+    const exportPath = `${prefix}index.html`;
+    try {
+      await exportPage(exportPath, () => renderDirectoryIndex(
+        path.join(basePath, directory), basePath, { liveReload: false }
+      ));
+    } catch (error) {
+      console.error(`Cannot export ${exportPath}: ${error.message}`);
+      summary.errors.push(exportPath);
+    }
+  }
+
+  const copiedAssets = new Set();
+  if (assetsDir) {
+    for (const name of ASSET_PATHS) {
+      try {
+        await fs.cp(path.join(assetsDir, name), path.join(outDir, name), { recursive: true });
+        copiedAssets.add(name);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  }
+  summary.missingAssets = [...linkedAssets].filter(name => !copiedAssets.has(name)).sort();
+  for (const name of summary.missingAssets) {
+    console.warn(assetsDir
+      ? `The pages link to /${name}/, but there is no ${name} directory in ${assetsDir}`
+      : `The pages link to /${name}/, which is not exported: give --assets-dir to copy it`);
+  }
+
+  return summary;
+}
+
+/**
+ * Reads the variables file of an event
+ * @param {string} file - The JSON file
+ * @returns {Promise<Object>} the variables
+ */
+async function readVariablesFile(file) {
+  let variables;
+  try {
+    variables = JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read variables file "${file}": ${error.message}`);
+  }
+  if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+    throw new Error(`Invalid variables file "${file}": expected a map of values`);
+  }
+  return variables;
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const configManager = new ExportConfig();
+  await configManager.load();
+
+  const templatePolicy = configManager.get('templatePolicy');
+  if (!TEMPLATE_POLICIES.includes(templatePolicy)) {
+    console.error(
+      `Error: Unknown template policy "${templatePolicy}", ` +
+      `expected one of ${TEMPLATE_POLICIES.join(', ')}`
+    );
+    process.exit(1);
+  }
+  if (isDebugMode()) {
+    console.warn('Debug mode is on, annotations and review panels are exported');
+  }
+
+  // The event's variables override those of the template configuration
+  const templateFile = configManager.get('templateFile');
+  const template = await new TemplateStore({
+    filePath: templateFile ? path.resolve(templateFile) : null
+  }).load();
+  const variablesFile = configManager.get('variablesFile');
+  const variables = variablesFile
+    ? await readVariablesFile(path.resolve(variablesFile))
+    : {};
+  updateTemplateConfig({
+    ...template,
+    variables: { ...template.variables, ...variables }
+  });
+  configureIncludes({ dir: configManager.get('includesDir') });
+
+  const basePath = path.resolve(configManager.get('basePath'));
+  const outDir = path.resolve(configManager.get('out'));
+  console.log(`📁 Exporting ${basePath} to ${outDir}`);
+  const summary = await exportSite({
+    basePath,
+    outDir,
+    assetsDir: configManager.get('assetsDir'),
+    templatePolicy
+  });
+
+  console.log(`Exported ${summary.pages} pages and copied ${summary.files} files`);
+  if (summary.errors.length > 0) {
+    console.error(`${summary.errors.length} pages failed: ${summary.errors.join(', ')}`);
+    process.exit(1);
+  }
+}
+
+// Run the export if this file is run directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(error => {
+    console.error('Export failed:', error.message);
+    process.exit(1);
+  });
+}
+
+export { ExportConfig, exportSite, rewriteLink, rewriteLinks };
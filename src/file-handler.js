@@ -1,46 +1,33 @@
 'use strict';
+import crypto from 'crypto';
 import { promises as fs } from 'fs';
-import http from 'http';
 import path from 'path';
 import MarkdownIt from 'markdown-it';
 // TOC plugin for automatic table of contents
 import markdownItTocDoneRight from 'markdown-it-toc-done-right';
 // Comment plugin for development comments
 import {markdownItComment, markdownItIssue} from './markdown-it/comment.js';
-
-const INCLUDES = ['header', 'footer', 'head', 'image-modal'];
-
-/**
- * Reads a file from the include directory
- * @param {string} filename the name of the file without the `.html` extension
- * @returns {Promise<string>} the content of the include file
- */
-function includeHtml(filename) {
-  return new Promise((resolve, reject) => {
-    if (!INCLUDES.includes(filename)) {
-      throw new Error(`Include file "${filename}" is not recognized.`);
-    }
-    const includesPort = process.env.INCLUDES_SERVICE_PORT || 80;
-    const includesHost = process.env.INCLUDES_SERVICE_HOST || 'localhost';
-    const path =
-      `http://${includesHost}:${includesPort}/includes/${filename}.html`;
-    const request = http.get(path, res => {
-      let data = '';
-      res.on('data', chunk => {
-        data += chunk;
-      });
-      res.on('end', () => {
-        resolve(data);
-      });
-      res.on('error', () => {
-        reject(`Error fetching include file "${filename}"`);
-      });
-      if (res.statusCode != 200) {
-        reject(`Failed to fetch include file "${path}": ${res.statusCode}`);
-      }
-    });
-  });
-}
+// Include plugin for shared markdown fragments
+import markdownItInclude from './markdown-it/include.js';
+// Breadcrumbs and status gadgets
+import markdownItBreadcrumbs from './markdown-it/breadcrumbs.js';
+import markdownItStatus from './markdown-it/status.js';
+import { parseFrontMatter, getFrontMatterVariables } from './front-matter.js';
+import {
+  VARIABLES_FILE_NAME,
+  getDirectoryChain,
+  getDirectoryVariables,
+  getDirectorySettings
+} from './directory-variables.js';
+import { getMarkdownTitle, readPageTitle, readDirectoryTitle } from './page-title.js';
+import { FRAGMENTS_DIR_NAME, listDirectory, getPageUrl } from './materials.js';
+import { registerFilter, getFilter, parseFilterCall } from './template-filters.js';
+import { events, FILE_CHANGED, TEMPLATE_CONFIG_CHANGED } from './events.js';
+import { LruCache } from './lru-cache.js';
+import { renderLiveReloadScript } from './live-reload.js';
+import { includeHtml } from './includes.js';
+import { DEFAULT_LAYOUT, findLayout, readLayout, renderLayout } from './layouts.js';
+import { ORDER_FILE_NAME, getPageNeighbours } from './nav-tree.js';
 
 // Initialize markdown-it with default options
 const md = new MarkdownIt({
@@ -58,19 +45,42 @@ md.use(markdownItTocDoneRight, {
   includeLevel: [1, 2, 3, 4, 5, 6],
   listClass: 'toc-list',
   itemClass: 'toc-item',
-  linkClass: 'toc-link'
+  linkClass: 'toc-link',
+  // link to the ids the heading renderer gives
+  slugify: (text) => generateSlug(text),
+  // keep the contents of the last rendered document for the layout's toc
+  callback: (html, ast) => {
+    lastToc = ast.c.length > 0 ? html : '';
+  }
 });
+let lastToc = '';
+
+const debugMode =
+  process.env.DEBUG === 'true' ||
+  ['local', 'development'].includes(process.env.NODE_ENV);
 
 // Add comment plugin
-md.use(markdownItComment, {
-  debug:
-    process.env.DEBUG === 'true' || 
-    ['local', 'development'].includes(process.env.NODE_ENV)
-});
-md.use(markdownItIssue, {
-  debug:
-    process.env.DEBUG === 'true' || 
-    ['local', 'development'].includes(process.env.NODE_ENV)
+md.use(markdownItComment, { debug: debugMode });
+md.use(markdownItIssue, { debug: debugMode });
+md.use(markdownItStatus, { debug: debugMode });
+
+// Add breadcrumbs plugin, the trail is passed in the render environment
+md.use(markdownItBreadcrumbs);
+
+// Add include plugin, fragments get the same variables as the including page
+md.use(markdownItInclude, {
+  debug: debugMode,
+  processContent: (content, env) =>
+    parseTemplateVariables(content, {
+      variables: env.variables,
+      templateVariables: env.templateVariables,
+      policy: env.templatePolicy,
+      source: env.basePath && env.includeStack
+        ? path.relative(env.basePath, env.includeStack.at(-1))
+        : undefined,
+      missing: env.missingVariables,
+      quiet: env.quiet
+    })
 });
 
 
@@ -122,12 +132,103 @@ const defaultTemplateConfig = {
 
 let templateConfig = { ...defaultTemplateConfig };
 
+// Forms a markdown page can be served in, with their content types
+const PAGE_FORMATS = {
+  html: 'text/html; charset=utf-8',
+  fragment: 'text/html; charset=utf-8',
+  md: 'text/markdown; charset=utf-8',
+  json: 'application/json; charset=utf-8'
+};
+
+// Settings files of the materials, never served
+const SETTINGS_FILES = [VARIABLES_FILE_NAME, ORDER_FILE_NAME];
+
+// Rendered pages, keyed by file, profile and render options. Entries are
+// dropped when the files they are built from change, and expire so pages
+// pick up changes to the includes and to files outside the watched tree.
+const renderCache = new LruCache({
+  maxEntries: 500, maxBytes: 50 * 1024 * 1024, ttl: 5 * 60 * 1000
+});
+
+// Pages built from a changed file are rendered again, and so are pages
+// linking to their neighbours after any change to the tree
+events.on(FILE_CHANGED, ({ path: filePath }) => {
+  renderCache.deleteWhere(entry => entry.dependencies.has(filePath) ||
+    (entry.tree !== null && !path.relative(entry.tree, filePath).startsWith('..')));
+});
+
+/**
+ * Finds the layout of a page
+ * @param {string} [name] - Layout chosen by the page or its directory, else
+ *  the configured `templates.layout`
+ * @param {string} [source] - The page, for the error
+ * @returns {Promise<{name: string, file: string, mtimeMs: number}>} the
+ *  layout, looked up in the configured `paths.templatesDir` first
+ * @throws {TemplateError} if the name is invalid or there is no such layout
+ */
+async function resolveLayout(name, source) {
+  try {
+    return await findLayout(
+      name ?? templateConfig.templates?.layout ?? DEFAULT_LAYOUT,
+      templateConfig.paths?.templatesDir
+    );
+  } catch (error) {
+    // File system errors have a code, a bad layout name has none
+    if (error.code) throw error;
+    throw new TemplateError(
+      source ? `${error.message} for ${source}` : error.message,
+      { source }
+    );
+  }
+}
+
 /**
  * Updates the template configuration (called from admin module)
  * @param {Object} config - New template configuration
  */
 function updateTemplateConfig(config) {
   templateConfig = { ...defaultTemplateConfig, ...config };
+  renderCache.clear();
+  events.emit(TEMPLATE_CONFIG_CHANGED, templateConfig);
+}
+
+/**
+ * Sets the limits of the rendered page cache
+ * @param {Object} options
+ * @param {number} [options.maxEntries] - Most pages to keep, 0 turns the
+ *  cache off
+ * @param {number} [options.maxBytes] - Largest total size of the pages,
+ *  0 for no limit
+ * @param {number} [options.ttl] - Milliseconds a page is kept, 0 to keep
+ *  it until its files change
+ */
+function configureRenderCache(options) {
+  renderCache.resize(options);
+}
+
+/**
+ * Gets the hit and miss statistics of the rendered page cache
+ * @returns {Object} statistics as from `LruCache.stats`
+ */
+function getRenderCacheStats() {
+  return renderCache.stats();
+}
+
+/**
+ * Empties the rendered page cache
+ */
+function clearRenderCache() {
+  renderCache.clear();
+}
+
+/**
+ * Checks whether pages are rendered for authors: with annotations, include
+ * errors and live reload
+ * @returns {boolean} true with `DEBUG=true` or a local or development
+ *  `NODE_ENV`
+ */
+function isDebugMode() {
+  return debugMode;
 }
 
 /**
@@ -138,13 +239,485 @@ function getTemplateConfig() {
   return templateConfig;
 }
 
+/**
+ * How unresolved template variables are handled:
+ * - `lenient`: mark them in the page and log a warning
+ * - `warn`: also list them in a banner at the top of the page
+ * - `strict`: fail the request with a report of the missing variables
+ */
+const TEMPLATE_POLICIES = ['lenient', 'warn', 'strict'];
+
+/**
+ * Error in a template, e.g. unresolved variables in strict mode
+ */
+class TemplateError extends Error {
+  /**
+   * @param {string} message - Description of the error
+   * @param {Object} [details]
+   * @param {string} [details.source] - The file the template came from
+   * @param {Array<{name: string, line: number, source?: string}>}
+   *  [details.missing] - Unresolved variables
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'TemplateError';
+    this.source = details.source || null;
+    this.missing = details.missing || [];
+  }
+}
+
+/**
+ * Formats a list of unresolved variables, one per line
+ * @param {Array<{name: string, line: number, source?: string}>} missing
+ * @returns {string} the report
+ */
+function formatMissingVariables(missing) {
+  return missing.map(miss =>
+    `  ${miss.source ? `${miss.source}, ` : ''}line ${miss.line}: ` +
+    `no value for "${miss.name}"`
+  ).join('\n');
+}
+
+/**
+ * Splits the text after the first `|` of a placeholder into a default value
+ * and a filter pipeline. Trailing segments that are calls to registered
+ * filters form the pipeline, anything before them is the default value.
+ * The first segment is the default even if it names a filter, as in
+ * `{{ name | default }}`, unless it has arguments, as in `format:"YYYY"`;
+ * an empty first segment, as in `{{ name || upper }}`, means no default.
+ * @param {string|null} text - Text after the first `|`, null if none
+ * @param {number[]} pipes - Positions of unescaped `|` in the text
+ * @returns {{defaultValue: string|null, filters: Array}} the default value,
+ *  null if there is none, and the filter calls in order
+ */
+function splitFilters(text, pipes) {
+  if (text === null) {
+    return { defaultValue: null, filters: [] };
+  }
+
+  const segments = [];
+  let start = 0;
+  for (const pipe of pipes) {
+    segments.push(text.slice(start, pipe));
+    start = pipe + 1;
+  }
+  segments.push(text.slice(start));
+
+  const filters = [];
+  while (segments.length > 0) {
+    const segment = segments[segments.length - 1];
+    const call = parseFilterCall(segment);
+    if (!call || (segments.length === 1 && !segment.includes(':'))) break;
+    filters.unshift(call);
+    segments.pop();
+  }
+
+  const defaultValue = segments.join('|').trim();
+  return {
+    defaultValue: segments.length === 0 || (defaultValue === '' && filters.length > 0)
+      ? null
+      : defaultValue,
+    filters
+  };
+}
+
+const hasOwn = (object, key) =>
+  Object.prototype.hasOwnProperty.call(object, key);
+
+/**
+ * Gets the variables of an attendee profile
+ * @param {string} [profile] - The profile name, e.g. a student ID
+ * @returns {Object} the profile's variables, empty if there is no such
+ *  profile
+ */
+function getProfileVariables(profile) {
+  if (!profile) {
+    return {};
+  }
+  const profiles = templateConfig.profiles || {};
+  if (!hasOwn(profiles, profile)) {
+    console.warn(`Unknown template profile "${profile}"`);
+    return {};
+  }
+  return profiles[profile];
+}
+
 /**
  * Parses template variables from markdown content
- * Format: {{ name | default }} or {{ name }}
+ * Format: {{ name | default }} or {{ name }}, optionally followed by
+ * filters: {{ name | default | upper | format:"YYYY-MM-DD" }}
+ *
+ * Blocks: {{#if env == "cloud"}} ... {{else}} ... {{/if}} and
+ * {{#each attendees}} ... {{/each}}, where the loop body sees the keys of
+ * each item, `this`, `@index`, `@key`, `@first` and `@last`. Unbalanced
+ * blocks throw a `TemplateError` with the line number.
  * @param {string} content - Content with template variables
+ * @param {Object} [options]
+ * @param {Object} [options.variables] - Page variables (e.g. from front
+ *  matter) that take precedence over the admin-supplied variables
+ * @param {Object} [options.templateVariables] - The admin-supplied
+ *  variables, by default those of the template configuration
+ * @param {string} [options.policy] - One of `TEMPLATE_POLICIES`, `strict`
+ *  throws a `TemplateError` listing every unresolved variable
+ * @param {Array} [options.missing] - Collects the unresolved variables as
+ *  `{ name, line, source }`
+ * @param {string} [options.source] - Name of the file, for reports
+ * @param {number} [options.lineOffset] - Lines before the content in its
+ *  file, e.g. front matter
+ * @param {boolean} [options.quiet] - Leave out the console warnings of
+ *  unresolved variables
  * @returns {string} Content with variables replaced
  */
-function parseTemplateVariables(content) {
+function parseTemplateVariables(content, options = {}) {
+  const policy = options.policy || 'lenient';
+  const variables = {
+    ...(options.templateVariables ?? templateConfig.variables),
+    ...options.variables
+  };
+  const { output, missing } = /\{\{\s*([#/]|else\b)/.test(content)
+    ? renderTemplateBlocks(content, variables, options)
+    : processTemplate(content, variables, options);
+
+  for (const miss of missing) {
+    miss.source = options.source;
+    if (policy !== 'strict' && !options.quiet) {
+      console.warn(`No value found for template variable "${miss.name}"`);
+    }
+  }
+
+  if (policy === 'strict' && missing.length > 0) {
+    throw new TemplateError(
+      `Unresolved template variables${options.source ? ` in ${options.source}` : ''}:\n` +
+      formatMissingVariables(missing),
+      { source: options.source, missing }
+    );
+  }
+
+  if (options.missing) {
+    options.missing.push(...missing);
+  }
+  return output;
+}
+
+// Block tags: {{#if expr}}, {{#each name}}, {{else}}, {{/if}}, {{/each}}
+const BLOCK_TAG_PATTERN = /\{\{\s*(#if|#each|else|\/if|\/each)(?=[\s}])([^}]*)\}\}/g;
+
+/**
+ * Finds the block tags in a template. A tag alone on its line takes the
+ * whole line, so it does not leave a blank line in the output.
+ * @param {string} content - The template
+ * @returns {Array<{kind: string, args: string, start: number, end: number}>}
+ *  the tags, with the range of text they replace
+ */
+function findBlockTags(content) {
+  const tags = [];
+  BLOCK_TAG_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = BLOCK_TAG_PATTERN.exec(content))) {
+    // an odd number of backslashes escapes the opening brace
+    let backslashes = 0;
+    while (content[match.index - 1 - backslashes] === '\\') {
+      backslashes++;
+    }
+    if (backslashes % 2 === 1) continue;
+
+    let start = match.index;
+    let end = match.index + match[0].length;
+    const lineStart = content.lastIndexOf('\n', start - 1) + 1;
+    let lineEnd = content.indexOf('\n', end);
+    if (lineEnd === -1) lineEnd = content.length;
+    if (!content.slice(lineStart, start).trim() &&
+        !content.slice(end, lineEnd).trim()) {
+      start = lineStart;
+      end = Math.min(lineEnd + 1, content.length);
+    }
+
+    tags.push({ kind: match[1], args: match[2].trim(), start, end, at: match.index });
+  }
+  return tags;
+}
+
+/**
+ * Splits a condition on an operator that is outside quotes
+ * @param {string} text - The condition
+ * @param {string} operator - `||` or `&&`
+ * @returns {string[]} the operands
+ */
+function splitCondition(text, operator) {
+  const parts = [];
+  let quote = null;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (text.startsWith(operator, i)) {
+      parts.push(text.slice(start, i));
+      start = i + operator.length;
+      i += operator.length - 1;
+    }
+  }
+  parts.push(text.slice(start));
+  return parts;
+}
+
+// A dotted variable path: `cluster.console.url`, `users[3].password`
+const VARIABLE_PATH_PATTERN =
+  /^[@A-Za-z_][\w@-]*(?:\.[@\w-]+|\[\d+\])*$/;
+
+/**
+ * Looks up a variable by name. A name that is not a variable itself is
+ * resolved as a path into nested objects and arrays, e.g.
+ * `cluster.console.url` or `users[3].password`.
+ * @param {Object} variables - The variables in scope
+ * @param {string} name - The variable name or path
+ * @returns {*} the value, undefined if any segment is missing
+ */
+function lookupVariable(variables, name) {
+  if (hasOwn(variables, name)) {
+    return variables[name];
+  }
+  if (!VARIABLE_PATH_PATTERN.test(name)) {
+    return undefined;
+  }
+
+  let value = variables;
+  for (const segment of name.match(/[^.[\]]+/g)) {
+    if (value === null || typeof value !== 'object' || !hasOwn(value, segment)) {
+      return undefined;
+    }
+    value = value[segment];
+  }
+  return value;
+}
+
+/**
+ * Evaluates an operand of a condition: a quoted string, a number, `true`,
+ * `false`, `null`, or a variable name
+ * @param {string} text - The operand
+ * @param {Object} variables - The variables in scope
+ * @returns {*} the value
+ */
+function evaluateOperand(text, variables) {
+  const operand = text.trim();
+  const quoted = /^(["'])((?:\\.|(?!\1).)*)\1$/.exec(operand);
+  if (quoted) {
+    return quoted[2].replace(/\\(.)/g, '$1');
+  }
+  if (/^-?\d+(\.\d+)?$/.test(operand)) {
+    return Number(operand);
+  }
+  if (['true', 'false', 'null'].includes(operand)) {
+    return JSON.parse(operand);
+  }
+  if (!/^[@A-Za-z_][\w.\[\]@-]*$/.test(operand)) {
+    throw new Error(`invalid operand "${operand}"`);
+  }
+  return lookupVariable(variables, operand);
+}
+
+/**
+ * Checks whether a value counts as true in a condition. Empty strings,
+ * empty lists, `"false"` and nil values are false.
+ * @param {*} value - The value
+ * @returns {boolean} the truth of the value
+ */
+function isTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  if (value === 'false') return false;
+  return !!value;
+}
+
+/**
+ * Evaluates an `{{#if}}` condition. Supports `||`, `&&`, `!`, the
+ * comparisons `==`, `!=`, `<`, `<=`, `>`, `>=`, and bare operands.
+ * @param {string} expression - The condition
+ * @param {Object} variables - The variables in scope
+ * @returns {boolean} the result
+ */
+function evaluateCondition(expression, variables) {
+  if (!expression.trim()) {
+    throw new Error('missing condition');
+  }
+  return splitCondition(expression, '||').some(any =>
+    splitCondition(any, '&&').every(term => {
+      let text = term.trim();
+      let negate = false;
+      while (text.startsWith('!') && !text.startsWith('!=')) {
+        negate = !negate;
+        text = text.slice(1).trim();
+      }
+
+      const comparison =
+        /^((?:"(?:\\.|[^"])*"|'(?:\\.|[^'])*'|[^=!<>])+?)\s*(==|!=|<=|>=|<|>)\s*(.+)$/
+          .exec(text);
+      let result;
+      if (comparison) {
+        const left = evaluateOperand(comparison[1], variables);
+        const right = evaluateOperand(comparison[3], variables);
+        switch (comparison[2]) {
+          case '==': result = String(left) === String(right); break;
+          case '!=': result = String(left) !== String(right); break;
+          case '<': result = Number(left) < Number(right); break;
+          case '<=': result = Number(left) <= Number(right); break;
+          case '>': result = Number(left) > Number(right); break;
+          case '>=': result = Number(left) >= Number(right); break;
+        }
+      } else {
+        result = isTruthy(evaluateOperand(text, variables));
+      }
+      return negate ? !result : result;
+    })
+  );
+}
+
+/**
+ * Renders a template with `{{#if}}` and `{{#each}}` blocks, substituting
+ * variables in the text of the blocks that are kept
+ * @param {string} content - The template
+ * @param {Object} variables - The variables in scope
+ * @param {Object} options - as for `parseTemplateVariables`
+ * @returns {{output: string, missing: Array<{name: string, line: number}>}}
+ *  the rendered content and the unresolved variables
+ */
+function renderTemplateBlocks(content, variables, options) {
+  const lineOffset = options.lineOffset || 0;
+  const lineAt = (offset) =>
+    lineOffset + content.slice(0, offset).split('\n').length;
+  const fail = (message, offset) => {
+    throw new TemplateError(
+      `Template error${options.source ? ` in ${options.source}` : ''}, ` +
+      `line ${lineAt(offset)}: ${message}`,
+      { source: options.source }
+    );
+  };
+
+  // build a tree of text and block nodes
+  const root = { kind: 'root', branches: [[]] };
+  const stack = [root];
+  let position = 0;
+  for (const tag of findBlockTags(content)) {
+    const current = stack[stack.length - 1];
+    const branch = current.branches[current.branches.length - 1];
+    if (tag.start > position) {
+      branch.push({ kind: 'text', start: position, end: tag.start });
+    }
+    position = tag.end;
+
+    switch (tag.kind) {
+      case '#if':
+      case '#each': {
+        const node = {
+          kind: tag.kind.slice(1),
+          args: tag.args,
+          at: tag.at,
+          branches: [[]]
+        };
+        branch.push(node);
+        stack.push(node);
+        break;
+      }
+      case 'else':
+        if (current === root) {
+          fail('{{else}} outside of an {{#if}} or {{#each}} block', tag.at);
+        }
+        if (current.branches.length > 1) {
+          fail(`second {{else}} in the {{#${current.kind}}} block opened ` +
+            `on line ${lineAt(current.at)}`, tag.at);
+        }
+        current.branches.push([]);
+        break;
+      default: {
+        const kind = tag.kind.slice(1);
+        if (current === root) {
+          fail(`{{/${kind}}} without a matching {{#${kind}}}`, tag.at);
+        }
+        if (current.kind !== kind) {
+          fail(`{{/${kind}}} does not close the {{#${current.kind}}} block ` +
+            `opened on line ${lineAt(current.at)}`, tag.at);
+        }
+        stack.pop();
+      }
+    }
+  }
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    fail(`{{#${open.kind}}} block is never closed`, open.at);
+  }
+  if (position < content.length) {
+    root.branches[0].push({ kind: 'text', start: position, end: content.length });
+  }
+
+  // render the tree
+  const missing = [];
+  const render = (nodes, scope) => {
+    let output = '';
+    for (const node of nodes) {
+      if (node.kind === 'text') {
+        const result = processTemplate(
+          content.slice(node.start, node.end), scope,
+          { ...options, lineOffset: lineAt(node.start) - 1 }
+        );
+        missing.push(...result.missing);
+        output += result.output;
+      } else if (node.kind === 'if') {
+        let condition;
+        try {
+          condition = evaluateCondition(node.args, scope);
+        } catch (error) {
+          fail(`invalid condition "{{#if ${node.args}}}": ${error.message}`,
+            node.at);
+        }
+        const branch = condition ? node.branches[0] : node.branches[1];
+        output += branch ? render(branch, scope) : '';
+      } else {
+        const each = /^([@A-Za-z_][\w.\[\]@-]*)(?:\s+as\s+([A-Za-z_]\w*))?$/
+          .exec(node.args);
+        if (!each) {
+          fail(`invalid loop "{{#each ${node.args}}}"`, node.at);
+        }
+        const list = lookupVariable(scope, each[1]);
+        const entries = Array.isArray(list)
+          ? list.map((item, index) => [index, item])
+          : list && typeof list === 'object' ? Object.entries(list) : [];
+        if (entries.length === 0) {
+          output += node.branches[1] ? render(node.branches[1], scope) : '';
+        }
+        entries.forEach(([key, item], index) => {
+          const itemScope = {
+            ...scope,
+            ...(item && typeof item === 'object' && !Array.isArray(item) ? item : {}),
+            this: item,
+            '@index': index,
+            '@key': key,
+            '@first': index === 0,
+            '@last': index === entries.length - 1
+          };
+          if (each[2]) {
+            itemScope[each[2]] = item;
+          }
+          output += render(node.branches[0], itemScope);
+        });
+      }
+    }
+    return output;
+  };
+
+  return { output: render(root.branches[0], variables), missing };
+}
+
+/**
+ * Substitutes template variables, see `parseTemplateVariables`
+ * @param {string} content - Content with template variables
+ * @param {Object} variables - The variables in scope
+ * @param {Object} options - as for `parseTemplateVariables`
+ * @returns {{output: string, missing: Array<{name: string, line: number}>}}
+ *  the content with variables replaced, and the unresolved variables
+ */
+function processTemplate(content, variables, options) {
   // Regex to match template variables: {{ name | default }} or {{ name }}
   // Handles whitespace and escaped braces in default values
 
@@ -162,6 +735,15 @@ function parseTemplateVariables(content) {
   let output = '';
   let name = null;
   let defaultValue = null;
+  // positions of unescaped `|` after the first one, which may start filters
+  let pipes = [];
+  // inside a double-quoted filter argument, where `|` does not split
+  let inQuotes = false;
+
+  // line numbers of the current character and of the current `{{`
+  let line = 1 + (options.lineOffset || 0);
+  let nameLine = line;
+  const missing = [];
 
   // resolve escapes and detect the second character of unescaped `{{` and `}}`
   const deEscape = (char) => {
@@ -191,30 +773,45 @@ function parseTemplateVariables(content) {
   const isNil = (val) => val === null || val === undefined;
 
   const addValue = () => {
-    let value = defaultValue === null
-      ? {span: `<span class='failed-substitution'>${name}</span>`}
-      : defaultValue;
+    const parts = splitFilters(defaultValue, pipes);
+    const found = lookupVariable(variables, name);
+    let value = isNil(found) ? parts.defaultValue : found;
 
-    if (!isNil(templateConfig.variables[name])) {
-      value = templateConfig.variables[name];
+    for (const filter of parts.filters) {
+      try {
+        value = getFilter(filter.name)(value, ...filter.args);
+      } catch (error) {
+        throw new TemplateError(
+          `Filter "${filter.name}" failed for "${name}" on line ` +
+          `${nameLine}: ${error.message}`,
+          { source: options.source }
+        );
+      }
     }
 
-    if (typeof value === 'object' && 'span' in value) {
-      console.warn(`No value found for template variable "${name}"`);
-      value = value.span.trim();
+    if (isNil(value)) {
+      missing.push({ name, line: nameLine });
+      value = `<span class='failed-substitution'>${name}</span>`;
     }
 
-    output += value.trim();
+    output += (typeof value === 'object' ? JSON.stringify(value) : String(value))
+      .trim();
+    pipes = [];
+    inQuotes = false;
   }
 
   for (let i = 0; i < content.length; i++) {
     const char = content[i];
     let deEscaped;
+    if (char === '\n') {
+      line++;
+    }
     switch (phase) {
       case outside:
         deEscaped = deEscape(char);
         if (deEscaped.isDoubleBrace && deEscaped.char === '{{') {
           phase = insideName;
+          nameLine = line;
           name = '';
           lastChar = '';
         } else {
@@ -243,6 +840,17 @@ function parseTemplateVariables(content) {
         }
         break;
       case insideDefault:
+        if (char === '"' && lastChar !== '\\') {
+          inQuotes = !inQuotes;
+        }
+        if (char === '|' && lastChar !== '\\' && !inQuotes) {
+          // unescaped pipe, may separate the default from a filter
+          defaultValue = (defaultValue === null ? '' : defaultValue) + lastChar;
+          lastChar = '';
+          pipes.push(defaultValue.length);
+          defaultValue += char;
+          break;
+        }
         deEscaped = deEscape(char);
         if (deEscaped.isDoubleBrace && deEscaped.char === '}}') {
           defaultValue = defaultValue === null ? '' : defaultValue;
@@ -257,17 +865,389 @@ function parseTemplateVariables(content) {
         break;
     }
   }
-  return output;
+  return { output, missing };
+}
+
+/**
+ * Builds the breadcrumb trail for a markdown page from the titles of the
+ * index pages of its ancestor directories
+ * @param {string} markdownPath - Absolute path of the markdown page
+ * @param {string} basePath - The base directory files are served from
+ * @param {string} pageTitle - The title of the page itself
+ * @param {Set<string>} [dependencies] - Gets the index pages the titles
+ *  are read from
+ * @returns {Promise<Array<{title: string, href: string}>>} the trail, from
+ *  the top of the site down to the page
+ */
+async function buildBreadcrumbs(markdownPath, basePath, pageTitle, dependencies) {
+  const relativePath = path.relative(basePath, markdownPath);
+  const segments = path.dirname(relativePath).split(path.sep)
+    .filter(segment => segment && segment !== '.');
+
+  // an index page stands for its directory, which is then the last crumb
+  if (path.basename(relativePath, '.md') === 'index') {
+    segments.pop();
+  }
+
+  const trail = [];
+  for (let i = 0; i <= segments.length; i++) {
+    const directory = path.join(basePath, ...segments.slice(0, i));
+    dependencies?.add(path.resolve(directory, 'index.html'));
+    dependencies?.add(path.resolve(directory, 'index.md'));
+    const title = await readDirectoryTitle(directory) ??
+      (i === 0 ? 'Home' : segments[i - 1]);
+    trail.push({
+      title,
+      href: '/' + segments.slice(0, i).map(encodeURIComponent)
+        .map(segment => segment + '/').join('')
+    });
+  }
+  trail.push({ title: pageTitle, href: null });
+
+  return trail;
+}
+
+/**
+ * Reads a markdown page with its metadata, variables and layout
+ * @param {string} markdownPath - Absolute path of the markdown file
+ * @param {string} basePath - The base directory files are served from
+ * @param {Object} [options] - as for `resolveFile`
+ * @returns {Promise<Object>} the page: its `stats`, `frontMatter`,
+ *  merged `variables`, `layout`, `source` path, template `policy` and the
+ *  `pageNavigation` to its neighbours if it shows links to them
+ */
+async function readPage(markdownPath, basePath, options = {}) {
+  const stats = await fs.stat(markdownPath);
+  const markdownContent = await fs.readFile(markdownPath, 'utf8');
+  const source = path.relative(basePath, markdownPath);
+  const policy = options.templatePolicy || 'lenient';
+
+  // Split off per-page metadata before processing the body
+  const frontMatter = parseFrontMatter(markdownContent);
+  const directorySettings = await getDirectorySettings(markdownPath, basePath);
+  // The attendee's profile overrides the page variables, which override the
+  // directory ones, which in turn override the admin-supplied ones
+  const variables = {
+    ...await getDirectoryVariables(markdownPath, basePath),
+    ...getFrontMatterVariables(frontMatter.data),
+    ...getProfileVariables(options.profile)
+  };
+  // A page picks its layout in its front matter, or gets its directory's
+  const layout = await resolveLayout(
+    frontMatter.data.layout ?? directorySettings.layout, source
+  );
+  // Links to the previous and next pages, if the site, the directory or the
+  // page asks for them
+  const showNavigation = frontMatter.data.pageNavigation ??
+    directorySettings.pageNavigation ?? templateConfig.features?.pageNavigation;
+  const pageNavigation = String(showNavigation) === 'true'
+    ? await getPageNeighbours(basePath, source.split(path.sep).join('/'))
+    : null;
+  return { stats, frontMatter, variables, layout, source, policy, pageNavigation };
+}
+
+/**
+ * Substitutes the variables of a page and sets up its render environment
+ * @param {Object} page - from `readPage`
+ * @param {string} markdownPath - Absolute path of the markdown file
+ * @param {string} basePath - The base directory files are served from
+ * @param {Object} [options] - as for `renderMarkdownPage`
+ * @returns {Promise<{markdown: string, title: string, env: Object}>} the
+ *  processed markdown, the page title and the markdown-it environment
+ */
+async function processPage(page, markdownPath, basePath, options = {}) {
+  const { frontMatter, variables, layout, source, policy } = page;
+
+  // Unresolved variables of the page and its includes
+  const missingVariables = [];
+
+  // Process template variables before converting to HTML
+  const processedMarkdown = parseTemplateVariables(frontMatter.content, {
+    variables,
+    templateVariables: options.templateVariables,
+    policy,
+    source,
+    lineOffset: frontMatter.lines,
+    missing: missingVariables,
+    quiet: options.quiet
+  });
+  const title = frontMatter.data.title ?? path.basename(markdownPath, '.md');
+  const env = {
+    filePath: markdownPath,
+    basePath,
+    variables,
+    templateVariables: options.templateVariables,
+    templatePolicy: policy,
+    missingVariables,
+    quiet: options.quiet,
+    layout,
+    pageNavigation: page.pageNavigation,
+    liveReload: options.liveReload !== false,
+    // Files the page is built from; includes add their fragments. The paths
+    // are absolute, as the watcher reports them, also for a relative base path
+    dependencies: new Set([
+      path.resolve(markdownPath),
+      layout.file,
+      ...getDirectoryChain(path.dirname(markdownPath), basePath)
+        .map(directory => path.join(directory, VARIABLES_FILE_NAME))
+    ])
+  };
+  if (processedMarkdown.includes('${breadcrumbs}')) {
+    env.breadcrumbs = await buildBreadcrumbs(
+      markdownPath, basePath,
+      String(frontMatter.data.title ??
+        getMarkdownTitle(processedMarkdown) ?? title),
+      env.dependencies
+    );
+  }
+  return { markdown: processedMarkdown, title, env };
+}
+
+/**
+ * Reads a page as it is served, before it is rendered
+ * @param {string} markdownPath - Absolute path of the markdown file
+ * @param {string} basePath - The base directory files are served from
+ * @param {Object} [options] - as for `resolveFile`, `quiet: true` to leave
+ *  out the warnings of unresolved variables
+ * @returns {Promise<{markdown: string, title: string, metadata: Object,
+ *  env: Object}>} the markdown after variable substitution, the page
+ *  title, its front matter and the markdown-it environment to parse it with
+ */
+async function readPageSource(markdownPath, basePath, options = {}) {
+  const page = await readPage(markdownPath, basePath, options);
+  const { markdown, title, env } =
+    await processPage(page, markdownPath, basePath, options);
+  return { markdown, title: String(title), metadata: page.frontMatter.data, env };
+}
+
+/**
+ * Renders a markdown page with its template variables to a complete HTML
+ * document
+ * @param {string} markdownPath - Absolute path of the markdown file
+ * @param {string} basePath - The base directory files are served from
+ * @param {Object} [options] - as for `resolveFile`, `cache: false` to
+ *  leave the rendered page cache alone and `liveReload: false` to leave out
+ *  the live reload script of debug mode
+ * @returns {Promise<string>} the HTML document
+ */
+async function renderMarkdownPage(markdownPath, basePath, options = {}) {
+  // The same version of the file with the same variables renders the same
+  // page until one of the other files it is built from changes
+  const cacheKey = options.cache === false ? null : [
+    path.resolve(markdownPath),
+    (await fs.stat(markdownPath)).mtimeMs,
+    crypto.createHash('sha1').update(JSON.stringify({
+      templateVariables: options.templateVariables ?? templateConfig.variables,
+      directoryVariables: await getDirectoryVariables(markdownPath, basePath),
+      directorySettings: await getDirectorySettings(markdownPath, basePath),
+      profileVariables: options.profile ? templateConfig.profiles?.[options.profile] : null,
+      policy: options.templatePolicy ?? '',
+      liveReload: options.liveReload !== false
+    })).digest('hex')
+  ].join('\0');
+  const cached = cacheKey && renderCache.get(cacheKey);
+  if (cached) {
+    return cached.html;
+  }
+
+  const page = await readPage(markdownPath, basePath, options);
+  const { markdown, title, env } =
+    await processPage(page, markdownPath, basePath, options);
+  const html = await convertMarkdownToHtml(markdown, title, env);
+  // A page built with fallback includes is not kept
+  if (cacheKey && env.includeFailures.length === 0) {
+    renderCache.set(
+      cacheKey,
+      {
+        html,
+        dependencies: env.dependencies,
+        tree: page.pageNavigation ? path.resolve(basePath) : null
+      },
+      Buffer.byteLength(html)
+    );
+  }
+  return html;
+}
+
+/**
+ * Builds the contents tree of a page from its headings
+ * @param {Array<{level: number, text: string, id: string}>} headings
+ * @returns {Array} top entries, each with its sub-headings as `children`
+ */
+function buildTocTree(headings) {
+  const root = { level: 0, children: [] };
+  const stack = [root];
+  for (const heading of headings) {
+    const entry = { ...heading, children: [] };
+    while (stack.at(-1).level >= heading.level) {
+      stack.pop();
+    }
+    stack.at(-1).children.push(entry);
+    stack.push(entry);
+  }
+  return root.children;
+}
+
+/**
+ * Renders a markdown page in one of the `PAGE_FORMATS` other than `html`:
+ * - `md`: the markdown after variable substitution, without front matter
+ * - `fragment`: the rendered body, without layout or includes
+ * - `json`: the title, front matter, headings, contents tree, rendered
+ *   body and review status of the page
+ * @param {string} markdownPath - Absolute path of the markdown file
+ * @param {string} basePath - The base directory files are served from
+ * @param {string} format - The format
+ * @param {Object} [options] - as for `resolveFile`
+ * @returns {Promise<string>} the page in that format
+ */
+async function renderPageFormat(markdownPath, basePath, format, options = {}) {
+  const page = await readPage(markdownPath, basePath, options);
+  const { markdown, title, env } =
+    await processPage(page, markdownPath, basePath, options);
+  if (format === 'md') {
+    return markdown;
+  }
+
+  const { html, tokens } = renderPageBody(markdown, env);
+  if (format === 'fragment') {
+    return html;
+  }
+
+  const headings = [];
+  let status = null;
+  tokens.forEach((token, index) => {
+    if (token.type === 'heading_open') {
+      const text = tokens[index + 1].content;
+      headings.push({
+        level: Number(token.tag.slice(1)), text, id: generateSlug(text)
+      });
+    } else if (token.type === 'status' && !status) {
+      status = token.meta;
+    }
+  });
+  return JSON.stringify({
+    path: page.source.split(path.sep).join('/'),
+    title: String(title),
+    metadata: page.frontMatter.data,
+    headings,
+    toc: buildTocTree(headings),
+    html,
+    status,
+    missingVariables: env.missingVariables
+  }, null, 2);
+}
+
+/**
+ * Checks whether a directory without an index page gets a listing: the
+ * `autoIndex` value of its `_variables.json` chain, else the configured
+ * `features.autoIndex`, else only in debug mode
+ * @param {string} directory - Absolute path of the directory
+ * @param {string} basePath - The base directory files are served from
+ * @returns {Promise<boolean>} true if the listing is shown
+ */
+async function isAutoIndexEnabled(directory, basePath) {
+  const settings =
+    await getDirectorySettings(path.join(directory, 'index.md'), basePath);
+  const enabled = settings.autoIndex ?? templateConfig.features?.autoIndex ??
+    debugMode;
+  return String(enabled) === 'true';
+}
+
+/**
+ * Escapes text for use in markdown
+ * @param {string} text - The text
+ * @returns {string} text with markdown and gadget syntax escaped
+ */
+function escapeMarkdown(text) {
+  return String(text).replace(/[\\`*_{}[\]()#+\-.!<>|$]/g, '\\$&');
+}
+
+/**
+ * Renders the listing of a directory without an index page, with the same
+ * layout and includes as its pages. `fragments` directories are left out.
+ * @param {string} directory - Absolute path of the directory
+ * @param {string} basePath - The base directory files are served from
+ * @param {Object} [options] - as for `resolveFile`
+ * @returns {Promise<string>} the HTML document
+ */
+async function renderDirectoryIndex(directory, basePath, options = {}) {
+  const relativeDir = path.relative(basePath, directory).split(path.sep).join('/');
+  const variables = await getDirectoryVariables(path.join(directory, 'index.md'), basePath);
+  const settings = await getDirectorySettings(path.join(directory, 'index.md'), basePath);
+  const title = relativeDir ? path.posix.basename(relativeDir) : 'Home';
+  const escape = md.utils.escapeHtml;
+
+  const items = [];
+  for (const entry of await listDirectory(basePath, relativeDir)) {
+    if (entry.type === 'directory' && entry.name === FRAGMENTS_DIR_NAME) continue;
+    const entryPath = path.join(basePath, ...entry.path.split('/'));
+    if (entry.type === 'directory') {
+      const url = '/' + entry.path.split('/').map(encodeURIComponent).join('/') + '/';
+      const entryTitle = await readDirectoryTitle(entryPath) ?? entry.name;
+      items.push(`<li class="directory"><a href="${escape(url)}">${escape(entryTitle)}</a></li>`);
+    } else if (entry.type === 'markdown') {
+      const entryTitle = await readPageTitle(entryPath) ?? entry.name;
+      items.push(
+        `<li class="page"><a href="${escape(getPageUrl(entry.path))}">${escape(entryTitle)}</a>` +
+        ` <span class="file-name">${escape(entry.name)}</span></li>`
+      );
+    }
+  }
+
+  const markdown = [
+    '${breadcrumbs}',
+    '',
+    `# ${escapeMarkdown(title)}`,
+    '',
+    items.length > 0
+      ? `<ul class="directory-index">\n${items.join('\n')}\n</ul>`
+      : '<p class="directory-index">There are no pages in this directory.</p>'
+  ].join('\n');
+
+  const env = {
+    filePath: path.join(directory, 'index.md'),
+    basePath,
+    variables,
+    templateVariables: options.templateVariables,
+    layout: await resolveLayout(settings.layout, relativeDir || '/'),
+    liveReload: options.liveReload !== false,
+    breadcrumbs: await buildBreadcrumbs(path.join(directory, 'index.md'), basePath, title),
+    dependencies: new Set(
+      getDirectoryChain(directory, basePath)
+        .map(chainDirectory => path.join(chainDirectory, VARIABLES_FILE_NAME))
+    )
+  };
+  return convertMarkdownToHtml(markdown, title, env);
 }
 
 /**
  * Resolves a file path and returns the file content with appropriate HTTP status
  * @param {string} requestPath - The requested path (relative to base directory)
  * @param {string} baseDirectory - The base directory to serve files from
+ * @param {Object} [options]
+ * @param {string} [options.templatePolicy] - How unresolved template
+ *  variables are handled, one of `TEMPLATE_POLICIES`
+ * @param {string} [options.profile] - Attendee profile whose variables
+ *  override all others
+ * @param {Object} [options.templateVariables] - Admin-supplied variables to
+ *  use instead of the template configuration's, e.g. a draft to preview
+ * @param {string} [options.format] - One of `PAGE_FORMATS` for pages
+ *  rendered from markdown, default `html`
  * @returns {Promise<{status: number, buffer: Buffer, contentType?: string}>}
  */
-export async function resolveFile(requestPath, basePath) {
+export async function resolveFile(requestPath, basePath, options = {}) {
   try {
+    const format = options.format || 'html';
+    if (!Object.prototype.hasOwnProperty.call(PAGE_FORMATS, format)) {
+      return {
+        status: 400,
+        buffer: Buffer.from(
+          `Unknown format "${format}", expected one of ${Object.keys(PAGE_FORMATS).join(', ')}`
+        ),
+        contentType: 'text/plain; charset=utf-8'
+      };
+    }
+
     // Normalize the request path
     const normalizedPath = path.normalize(requestPath);
     
@@ -279,6 +1259,14 @@ export async function resolveFile(requestPath, basePath) {
       };
     }
 
+    // Settings hold event values, so they are not files of the site
+    if (SETTINGS_FILES.includes(path.basename(normalizedPath).toLowerCase())) {
+      return {
+        status: 404,
+        buffer: Buffer.from('File not found')
+      };
+    }
+
     // Build the full file path
     let fullPath = path.join(basePath, normalizedPath);
     
@@ -305,6 +1293,15 @@ export async function resolveFile(requestPath, basePath) {
             await fs.access(path.join(fullPath, 'index.md'));
           } catch (error) {
             if (error.code === 'ENOENT') {
+              if (format === 'html' && await isAutoIndexEnabled(fullPath, basePath)) {
+                return {
+                  status: 200,
+                  buffer: Buffer.from(
+                    await renderDirectoryIndex(fullPath, basePath, options)
+                  ),
+                  contentType: PAGE_FORMATS.html
+                };
+              }
               console.warn(
                 'Directory index not found for',
                 path.join(fullPath, 'index.[html|md]')
@@ -341,19 +1338,24 @@ export async function resolveFile(requestPath, basePath) {
           const markdownPath = fullPath.replace(/\.html?$/i, '.md');
           
           try {
-            const markdownContent = await fs.readFile(markdownPath, 'utf8');
-            // Process template variables before converting to HTML
-            const processedMarkdown = parseTemplateVariables(markdownContent);
-            const htmlContent = await convertMarkdownToHtml(
-              processedMarkdown, path.basename(markdownPath, '.md')
-            );
-            
+            const content = format === 'html'
+              ? await renderMarkdownPage(markdownPath, basePath, options)
+              : await renderPageFormat(markdownPath, basePath, format, options);
+
             return {
               status: 200,
-              buffer: Buffer.from(htmlContent),
-              contentType: 'text/html; charset=utf-8'
+              buffer: Buffer.from(content),
+              contentType: PAGE_FORMATS[format]
             };
           } catch (mdError) {
+            if (mdError instanceof TemplateError) {
+              console.error(mdError.message);
+              return {
+                status: 500,
+                buffer: Buffer.from(mdError.message),
+                contentType: 'text/plain; charset=utf-8'
+              };
+            }
             if (mdError.code === 'ENOENT') {
               return {
                 status: 404,
@@ -372,6 +1374,15 @@ export async function resolveFile(requestPath, basePath) {
       throw error;
     }
   } catch (error) {
+    // e.g. the layout of a directory listing is missing
+    if (error instanceof TemplateError) {
+      console.error(error.message);
+      return {
+        status: 500,
+        buffer: Buffer.from(error.message),
+        contentType: 'text/plain; charset=utf-8'
+      };
+    }
     console.error('Error resolving file:', error);
     return {
       status: 500,
@@ -380,41 +1391,135 @@ export async function resolveFile(requestPath, basePath) {
   }
 }
 
+/**
+ * Renders the banner listing unresolved template variables in `warn` mode
+ * @param {Array<{name: string, line: number, source?: string}>} missing
+ * @returns {string} HTML banner
+ */
+function renderMissingVariablesBanner(missing) {
+  const items = missing.map(miss =>
+    `<li><code>${md.utils.escapeHtml(miss.name)}</code> ` +
+    `(${miss.source ? `${md.utils.escapeHtml(miss.source)}, ` : ''}` +
+    `line ${miss.line})</li>`
+  ).join('');
+  return `<div class="template-warnings"><strong>` +
+    `${missing.length} unresolved template variable${missing.length === 1 ? '' : 's'}` +
+    `</strong><ul>${items}</ul></div>\n`;
+}
+
+/**
+ * Renders the links to the previous and next pages
+ * @param {{previous: Object|null, next: Object|null}} neighbours - Pages
+ *  with their `title` and `url`
+ * @returns {string} HTML of the links, empty if there are none
+ */
+function renderPageNavigation({ previous, next }) {
+  if (!previous && !next) {
+    return '';
+  }
+  const link = (page, rel, text) => page
+    ? `<a class="${rel === 'prev' ? 'previous' : 'next'}" rel="${rel}" ` +
+      `href="${md.utils.escapeHtml(page.url)}">${text}</a>`
+    : '';
+  return '<nav class="page-navigation" aria-label="Previous and next pages">' +
+    link(previous, 'prev', `&larr; ${md.utils.escapeHtml(previous?.title ?? '')}`) +
+    link(next, 'next', `${md.utils.escapeHtml(next?.title ?? '')} &rarr;`) +
+    '</nav>\n';
+}
+
+/**
+ * Renders markdown to an HTML fragment using the configured plugins
+ * @param {string} markdownContent - The markdown content to render
+ * @param {Object} [env] - markdown-it render environment
+ * @returns {string} rendered HTML
+ */
+function renderMarkdown(markdownContent, env = {}) {
+  return md.render(markdownContent, env);
+}
+
+/**
+ * Parses markdown into markdown-it tokens using the configured plugins
+ * @param {string} markdownContent - The markdown content to parse
+ * @param {Object} [env] - markdown-it render environment
+ * @returns {Array} block tokens, with inline tokens in their `children`
+ */
+function parseMarkdown(markdownContent, env = {}) {
+  return md.parse(markdownContent, env);
+}
+
+/**
+ * Renders the body of a page: the markdown, after the banner of unresolved
+ * variables in `warn` mode
+ * @param {string} markdownContent - The processed markdown of the page
+ * @param {Object} env - markdown-it render environment
+ * @returns {{html: string, toc: string, tokens: Array}} the body, the
+ *  contents of its headings and the parsed tokens
+ */
+function renderPageBody(markdownContent, env) {
+  const tokens = md.parse(markdownContent, env);
+  const toc = lastToc;
+  let html = md.renderer.render(tokens, md.options, env);
+  if (env.templatePolicy === 'warn' && env.missingVariables?.length > 0) {
+    html = renderMissingVariablesBanner(env.missingVariables) + html;
+  }
+  return { html, toc, tokens };
+}
+
 /**
  * Converts markdown content to HTML with basic styling
  * @param {string} markdownContent - The markdown content to convert
  * @param {string} title - The title for the HTML page
+ * @param {Object} [env] - markdown-it render environment: `filePath` and
+ *  `basePath` of the page for includes, the page `variables`, the
+ *  `breadcrumbs` trail, the `templatePolicy` with the `missingVariables`
+ *  it reports, the `dependencies` that reload the page in debug mode and
+ *  the `layout` from `resolveLayout`, else the configured one, and the
+ *  `pageNavigation` links to add below the page. The includes
+ *  that could not be fetched are added as `includeFailures`.
  * @returns {string} Complete HTML document
  */
-async function convertMarkdownToHtml(markdownContent, title = 'Document') {
-  const htmlBody = md.render(markdownContent);
+async function convertMarkdownToHtml(
+  markdownContent, title = 'Document', env = {}
+) {
+  const body = renderPageBody(markdownContent, env);
+  let htmlBody = body.html;
+  if (env.pageNavigation) {
+    htmlBody += renderPageNavigation(env.pageNavigation);
+  }
+  const liveReload = debugMode && env.liveReload !== false
+    && env.dependencies && env.basePath
+    ? '\n  ' + renderLiveReloadScript([...env.dependencies].map(file =>
+      path.relative(env.basePath, file).split(path.sep).join('/')))
+    : '';
   
   // load these in parallel
-  const neededIncludesPromises = {
-    head: includeHtml('head'),
-    header: includeHtml('header'),
-    footer: includeHtml('footer'),
-    imageModal: includeHtml('image-modal')
-  };
+  const [head, header, footer, imageModal] = await Promise.all(
+    ['head', 'header', 'footer', 'image-modal'].map(name => includeHtml(name))
+  );
+  env.includeFailures = [head, header, footer, imageModal]
+    .filter(include => include.error)
+    .map(include => include.error);
+  if (debugMode && env.includeFailures.length > 0) {
+    htmlBody = env.includeFailures
+      .map(error => `<div class="include-error">${md.utils.escapeHtml(error)}</div>\n`)
+      .join('') + htmlBody;
+  }
 
-  return `<!DOCTYPE html>
-<html lang="en">
-<head>
-  ${await neededIncludesPromises.head}
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>${title}</title>
-  <link rel="stylesheet" type="text/css" href="/public/markdown-it.css">
-</head>
-<body>
-  ${await neededIncludesPromises.header}
-  <div class="markdown-content">
-    ${htmlBody}
-  </div>
-  ${await neededIncludesPromises.footer}
-  ${await neededIncludesPromises.imageModal}
-</body>
-</html>`;
+  const layout = env.layout ?? await resolveLayout();
+  return renderLayout(await readLayout(layout), {
+    head: head.content,
+    header: header.content,
+    footer: footer.content,
+    imageModal: imageModal.content,
+    body: htmlBody,
+    toc: body.toc,
+    title: String(title),
+    liveReload
+  }, {
+    theme: templateConfig.templates?.theme,
+    ...(env.templateVariables ?? templateConfig.variables),
+    ...env.variables
+  });
 }
 
 /**
@@ -446,9 +1551,27 @@ function getContentType(ext) {
 
 export {
   convertMarkdownToHtml,
+  renderMarkdown,
+  parseMarkdown,
+  buildBreadcrumbs,
+  renderMarkdownPage,
+  renderPageFormat,
+  readPageSource,
+  renderDirectoryIndex,
+  generateSlug,
   getContentType,
+  isDebugMode,
+  configureRenderCache,
+  getRenderCacheStats,
+  clearRenderCache,
   updateTemplateConfig,
   getTemplateConfig,
-  parseTemplateVariables
+  getProfileVariables,
+  parseTemplateVariables,
+  registerFilter,
+  TemplateError,
+  TEMPLATE_POLICIES,
+  PAGE_FORMATS,
+  SETTINGS_FILES
 };
 
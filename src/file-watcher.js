@@ -0,0 +1,124 @@
+'use strict';
+import fs from 'fs';
+import path from 'path';
+import { events, FILE_CHANGED } from './events.js';
+import { isIgnoredEntry } from './materials.js';
+
+// Editors often write a file in several steps
+const DEBOUNCE_MS = 100;
+
+/**
+ * Watches the materials tree and emits `FILE_CHANGED` for every file that
+ * is created, changed or removed. Uses a recursive watch where the
+ * platform has one, and else one watch per directory.
+ */
+class FileWatcher {
+  /**
+   * @param {string} basePath - The directory to watch
+   */
+  constructor(basePath) {
+    this.basePath = path.resolve(basePath);
+    this.watchers = new Map();
+    this.timers = new Map();
+  }
+
+  /**
+   * Starts watching
+   * @returns {FileWatcher} this watcher
+   */
+  start() {
+    try {
+      this.watch(this.basePath, true);
+    } catch (error) {
+      if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+        throw error;
+      }
+      this.watchTree(this.basePath);
+    }
+    console.log(`👀 Watching for changes in: ${this.basePath}`);
+    return this;
+  }
+
+  /**
+   * Watches one directory
+   * @param {string} directory - Absolute path of the directory
+   * @param {boolean} recursive - Whether to watch subdirectories too
+   */
+  watch(directory, recursive) {
+    const watcher = fs.watch(directory, { recursive }, (eventType, filename) => {
+      if (filename) {
+        this.changed(path.join(directory, filename.toString()), !recursive);
+      }
+    });
+    watcher.on('error', error => {
+      console.warn(`Stopped watching "${directory}": ${error.message}`);
+      watcher.close();
+      this.watchers.delete(directory);
+    });
+    // Watching alone should not keep the process running
+    watcher.unref();
+    this.watchers.set(directory, watcher);
+  }
+
+  /**
+   * Watches a directory and all directories below it, one by one
+   * @param {string} directory - Absolute path of the directory
+   */
+  watchTree(directory) {
+    if (this.watchers.has(directory)) return;
+    this.watch(directory, false);
+    let entries = [];
+    try {
+      entries = fs.readdirSync(directory, { withFileTypes: true });
+    } catch (error) {
+      console.warn(`Cannot watch "${directory}": ${error.message}`);
+    }
+    for (const entry of entries) {
+      if (entry.isDirectory() && !isIgnoredEntry(entry.name)) {
+        this.watchTree(path.join(directory, entry.name));
+      }
+    }
+  }
+
+  /**
+   * Reports a change once it has settled
+   * @param {string} filePath - Absolute path of the changed file
+   * @param {boolean} watchNewDirectories - Whether a new directory needs
+   *  its own watch
+   */
+  changed(filePath, watchNewDirectories) {
+    const relative = path.relative(this.basePath, filePath);
+    if (relative.split(path.sep).some(isIgnoredEntry)) return;
+
+    clearTimeout(this.timers.get(filePath));
+    this.timers.set(filePath, setTimeout(() => {
+      this.timers.delete(filePath);
+      if (watchNewDirectories) {
+        try {
+          if (fs.statSync(filePath).isDirectory()) {
+            this.watchTree(filePath);
+          }
+        } catch (error) {
+          // removed again
+        }
+      }
+      events.emit(FILE_CHANGED, { path: filePath });
+    }, DEBOUNCE_MS).unref());
+  }
+
+  /**
+   * Stops watching
+   */
+  stop() {
+    for (const watcher of this.watchers.values()) {
+      watcher.close();
+    }
+    this.watchers.clear();
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+  }
+}
+
+export { FileWatcher };
@@ -0,0 +1,93 @@
+'use strict';
+import yaml from 'js-yaml';
+
+/**
+ * Front matter parsing for markdown pages.
+ *
+ * A page may start with a block fenced by `---` lines. The block is parsed as
+ * YAML, or as JSON when the opening fence is `---json` or the block starts
+ * with `{`:
+ *
+ * ```
+ * ---
+ * title: Lab 1
+ * author: tw
+ * variables:
+ *   namespace: lab1
+ * ---
+ * ```
+ */
+
+const FRONT_MATTER_PATTERN =
+  /^\uFEFF?---(json)?[ \t]*\r?\n([\s\S]*?)\r?\n?^---[ \t]*(?:\r?\n|$)/m;
+
+/**
+ * Error thrown when a page's front matter cannot be parsed
+ */
+class FrontMatterError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   */
+  constructor(message) {
+    super(`Invalid front matter: ${message}`);
+    this.name = 'FrontMatterError';
+  }
+}
+
+/**
+ * Splits front matter from the top of a markdown document
+ * @param {string} content - The raw markdown content
+ * @returns {{data: Object, content: string, lines: number}} the parsed front
+ *  matter, the remaining markdown body and the number of lines removed
+ * @throws {FrontMatterError} if the front matter is not a valid map
+ */
+function parseFrontMatter(content) {
+  const match = FRONT_MATTER_PATTERN.exec(content);
+  if (!match || match.index !== 0) {
+    return { data: {}, content, lines: 0 };
+  }
+
+  const source = match[2];
+  let data;
+  try {
+    data = match[1] === 'json' || source.trim().startsWith('{')
+      ? JSON.parse(source)
+      : yaml.load(source, { schema: yaml.JSON_SCHEMA });
+  } catch (error) {
+    throw new FrontMatterError(error.message);
+  }
+
+  if (data === null || data === undefined) {
+    data = {};
+  } else if (typeof data !== 'object' || Array.isArray(data)) {
+    throw new FrontMatterError('expected a map of values');
+  }
+
+  return {
+    data,
+    content: content.slice(match[0].length),
+    lines: match[0].split('\n').length - 1
+  };
+}
+
+/**
+ * Gets the template variables a page defines in its front matter. Scalar
+ * metadata such as `title` and `author` are available as variables, and the
+ * `variables` map takes precedence over them.
+ * @param {Object} data - Parsed front matter
+ * @returns {Object} variables defined by the page
+ */
+function getFrontMatterVariables(data) {
+  const variables = {};
+  for (const [key, value] of Object.entries(data)) {
+    if (key !== 'variables' && (value === null || typeof value !== 'object')) {
+      variables[key] = value;
+    }
+  }
+  if (data.variables && typeof data.variables === 'object') {
+    Object.assign(variables, data.variables);
+  }
+  return variables;
+}
+
+export { FrontMatterError, parseFrontMatter, getFrontMatterVariables };
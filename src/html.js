@@ -0,0 +1,17 @@
+'use strict';
+
+/**
+ * Escapes text for use in HTML content and attribute values
+ * @param {*} text - The text to escape
+ * @returns {string} escaped text
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+export { escapeHtml };
@@ -0,0 +1,236 @@
+'use strict';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Page chrome around every rendered page: the head, header, footer and
+ * image modal. They are read from a local directory when `dir` is set, and
+ * else fetched from the includes service.
+ *
+ * Fetched fragments are cached for `ttl` milliseconds and then revalidated
+ * with their ETag or Last-Modified date. Requests time out and are retried;
+ * when the service still fails the last good copy is used, or else the
+ * bundled default from `src/default-includes/`.
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULTS_DIR = path.join(__dirname, 'default-includes');
+
+const INCLUDES = ['header', 'footer', 'head', 'image-modal'];
+
+const defaultOptions = {
+  ttl: 5 * 60 * 1000,
+  timeout: 2000,
+  retries: 2
+};
+let options = { ...defaultOptions };
+
+// Fragments by name: { content, fromService, etag, lastModified, fetched,
+// error }, where `error` is set while a fallback is in use
+const cache = new Map();
+// Fetches in progress by name, shared by concurrent renders
+const pending = new Map();
+
+/**
+ * Sets how includes are fetched
+ * @param {Object} newOptions
+ * @param {number} [newOptions.ttl] - Milliseconds a fetched fragment is used
+ *  before it is revalidated
+ * @param {number} [newOptions.timeout] - Milliseconds before a request is
+ *  given up
+ * @param {number} [newOptions.retries] - Further attempts after a failed
+ *  request
+ * @param {string} [newOptions.host] - Includes service host, default
+ *  `INCLUDES_SERVICE_HOST` or localhost
+ * @param {number} [newOptions.port] - Includes service port, default
+ *  `INCLUDES_SERVICE_PORT` or 80
+ * @param {string|null} [newOptions.dir] - Directory with `head.html`,
+ *  `header.html`, `footer.html` and `image-modal.html` to use instead of
+ *  the service
+ */
+function configureIncludes(newOptions = {}) {
+  options = { ...options, ...newOptions };
+}
+
+/**
+ * Gets the time a fetched fragment is used before it is revalidated
+ * @returns {number} milliseconds
+ */
+function getIncludesTtl() {
+  return options.ttl;
+}
+
+/**
+ * Forgets all fetched fragments and restores the default options
+ */
+function resetIncludes() {
+  cache.clear();
+  options = { ...defaultOptions };
+}
+
+/**
+ * Reads the bundled default of an include
+ * @param {string} name - The include name
+ * @returns {string} the default content
+ */
+function readDefault(name) {
+  try {
+    return fs.readFileSync(path.join(DEFAULTS_DIR, `${name}.html`), 'utf8');
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Makes one request to the includes service
+ * @param {string} name - The include name
+ * @param {Object|undefined} cached - The cached copy to revalidate
+ * @returns {Promise<{status: number, content?: string, etag?: string,
+ *  lastModified?: string}>} the response; status 304 if the cached copy
+ *  is still good
+ */
+function request(name, cached) {
+  const host = options.host || process.env.INCLUDES_SERVICE_HOST || 'localhost';
+  const port = options.port || process.env.INCLUDES_SERVICE_PORT || 80;
+  const url = `http://${host}:${port}/includes/${name}.html`;
+  const headers = {};
+  if (cached?.etag) {
+    headers['If-None-Match'] = cached.etag;
+  }
+  if (cached?.lastModified) {
+    headers['If-Modified-Since'] = cached.lastModified;
+  }
+
+  return new Promise((resolve, reject) => {
+    const req = http.get(url, { headers }, res => {
+      if (res.statusCode === 304) {
+        res.resume();
+        resolve({ status: 304 });
+        return;
+      }
+      if (res.statusCode !== 200) {
+        res.resume();
+        reject(new Error(`Failed to fetch include "${url}": ${res.statusCode}`));
+        return;
+      }
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        data += chunk;
+      });
+      res.on('end', () => resolve({
+        status: 200,
+        content: data,
+        etag: res.headers.etag,
+        lastModified: res.headers['last-modified']
+      }));
+      res.on('error', error => reject(
+        new Error(`Error fetching include "${url}": ${error.message}`)
+      ));
+    });
+    req.setTimeout(options.timeout, () => {
+      req.destroy(new Error(`Fetching include "${url}" timed out after ${options.timeout}ms`));
+    });
+    req.on('error', error => reject(
+      error.message.includes(url)
+        ? error
+        : new Error(`Error fetching include "${url}": ${error.message}`)
+    ));
+  });
+}
+
+/**
+ * Fetches an include, retrying failed requests, and updates the cache
+ * @param {string} name - The include name
+ * @returns {Promise<Object>} the cache entry
+ */
+async function fetchInclude(name) {
+  const cached = cache.get(name);
+  let lastError;
+  for (let attempt = 0; attempt <= options.retries; attempt++) {
+    if (attempt > 0) {
+      await new Promise(resolve => setTimeout(resolve, 100 * attempt));
+    }
+    try {
+      // a default copy has no ETag or date, so it is fetched in full
+      const response = await request(name, cached);
+      const entry = response.status === 304
+        ? { ...cached, fetched: Date.now(), error: null }
+        : {
+          fromService: true,
+          content: response.content,
+          etag: response.etag,
+          lastModified: response.lastModified,
+          fetched: Date.now(),
+          error: null
+        };
+      cache.set(name, entry);
+      return entry;
+    } catch (error) {
+      lastError = error;
+    }
+  }
+
+  // Keep serving the last good copy, or the bundled default, until the
+  // next revalidation
+  const lastGood = cached?.fromService ? cached : null;
+  console.warn(`${lastError.message}, using ${lastGood ? 'the last good copy' : 'the default'}`);
+  const entry = lastGood
+    ? { ...lastGood, fetched: Date.now(), error: lastError.message }
+    : { content: readDefault(name), fetched: Date.now(), error: lastError.message };
+  cache.set(name, entry);
+  return entry;
+}
+
+/**
+ * Reads an include from the local includes directory
+ * @param {string} name - The include name
+ * @returns {Promise<{content: string, error: string|null}>} the content,
+ *  or the default and the error if the file cannot be read
+ */
+async function readLocalInclude(name) {
+  const filePath = path.join(options.dir, `${name}.html`);
+  try {
+    return { content: await fs.promises.readFile(filePath, 'utf8'), error: null };
+  } catch (error) {
+    const message = `Cannot read include "${filePath}": ${error.code || error.message}`;
+    console.warn(`${message}, using the default`);
+    return { content: readDefault(name), error: message };
+  }
+}
+
+/**
+ * Gets an include from the local directory, the cache or the includes
+ * service. Never rejects for service failures: the result then carries the
+ * fallback content and the error.
+ * @param {string} name - One of `INCLUDES`
+ * @returns {Promise<{content: string, error: string|null}>} the content
+ *  and the error of the last fetch, if it failed
+ */
+async function includeHtml(name) {
+  if (!INCLUDES.includes(name)) {
+    throw new Error(`Include file "${name}" is not recognized.`);
+  }
+  if (options.dir) {
+    return await readLocalInclude(name);
+  }
+
+  let entry = cache.get(name);
+  if (!entry || Date.now() - entry.fetched >= options.ttl) {
+    if (!pending.has(name)) {
+      pending.set(name, fetchInclude(name).finally(() => pending.delete(name)));
+    }
+    entry = await pending.get(name);
+  }
+  return { content: entry.content, error: entry.error };
+}
+
+export {
+  INCLUDES,
+  includeHtml,
+  configureIncludes,
+  getIncludesTtl,
+  resetIncludes
+};
@@ -5,9 +5,20 @@ import url from 'url';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { resolveFile } from './file-handler.js';
+import {
+  resolveFile,
+  isDebugMode,
+  configureRenderCache,
+  TEMPLATE_POLICIES
+} from './file-handler.js';
 import { AdminServer, AdminConfig } from './admin.js';
 import { ConfigReader } from './config-reader.js';
+import { events, FILE_CHANGED, TEMPLATE_CONFIG_CHANGED } from './events.js';
+import { FileWatcher } from './file-watcher.js';
+import { configureIncludes } from './includes.js';
+import { LIVE_RELOAD_PATH, LiveReload } from './live-reload.js';
+import { SearchIndex } from './search-index.js';
+import { getNavTree } from './nav-tree.js';
 
 /**
  * Main server configuration using the shared ConfigReader
@@ -21,7 +32,16 @@ class Config extends ConfigReader {
       defaults: {
         port: 8080,
         basePath: process.cwd(),
-        host: '0.0.0.0'
+        host: '0.0.0.0',
+        templatePolicy: 'lenient',
+        cacheMaxEntries: 500,
+        cacheMaxBytes: 50 * 1024 * 1024,
+        cacheTtl: 5 * 60 * 1000,
+        includesTtl: 5 * 60 * 1000,
+        includesTimeout: 2000,
+        includesRetries: 2,
+        includesDir: null,
+        assetsDir: null
       }
     });
   }
@@ -33,7 +53,16 @@ class Config extends ConfigReader {
     const envMapping = {
       'PORT': { key: 'port', type: 'number' },
       'BASE_PATH': { key: 'basePath', type: 'string' },
-      'HOST': { key: 'host', type: 'string' }
+      'HOST': { key: 'host', type: 'string' },
+      'TEMPLATE_POLICY': { key: 'templatePolicy', type: 'string' },
+      'CACHE_MAX_ENTRIES': { key: 'cacheMaxEntries', type: 'number' },
+      'CACHE_MAX_BYTES': { key: 'cacheMaxBytes', type: 'number' },
+      'CACHE_TTL': { key: 'cacheTtl', type: 'number' },
+      'INCLUDES_TTL': { key: 'includesTtl', type: 'number' },
+      'INCLUDES_TIMEOUT': { key: 'includesTimeout', type: 'number' },
+      'INCLUDES_RETRIES': { key: 'includesRetries', type: 'number' },
+      'INCLUDES_DIR': { key: 'includesDir', type: 'string' },
+      'ASSETS_DIR': { key: 'assetsDir', type: 'string' }
     };
     this.parseEnv(envMapping);
   }
@@ -49,6 +78,15 @@ class Config extends ConfigReader {
       '-b': { key: 'basePath', type: 'string' },
       '--host': { key: 'host', type: 'string' },
       '-h': { key: 'host', type: 'string' },
+      '--template-policy': { key: 'templatePolicy', type: 'string' },
+      '--cache-max-entries': { key: 'cacheMaxEntries', type: 'number' },
+      '--cache-max-bytes': { key: 'cacheMaxBytes', type: 'number' },
+      '--cache-ttl': { key: 'cacheTtl', type: 'number' },
+      '--includes-ttl': { key: 'includesTtl', type: 'number' },
+      '--includes-timeout': { key: 'includesTimeout', type: 'number' },
+      '--includes-retries': { key: 'includesRetries', type: 'number' },
+      '--includes-dir': { key: 'includesDir', type: 'string' },
+      '--assets-dir': { key: 'assetsDir', type: 'string' },
       '--help': { key: '_help', type: 'boolean' }
     };
     
@@ -70,19 +108,50 @@ Options:
   --port, -p <port>        Server port (default: 8080)
   --base-path, -b <path>   Base directory to serve files from (default: current directory)
   --host, -h <host>        Host to bind to (default: 0.0.0.0)
+  --template-policy <p>    Unresolved template variables: lenient, warn or
+                           strict (default: lenient)
+  --cache-max-entries <n>  Rendered pages to cache, 0 turns the cache off
+                           (default: 500)
+  --cache-max-bytes <n>    Total size of the cached pages, 0 for no limit
+                           (default: 52428800)
+  --cache-ttl <ms>         Time a page is cached, 0 to keep it until its
+                           files change (default: 300000)
+  --includes-ttl <ms>      Time page includes are used before they are
+                           revalidated (default: 300000)
+  --includes-timeout <ms>  Timeout of includes service requests (default: 2000)
+  --includes-retries <n>   Retries of failed includes requests (default: 2)
+  --includes-dir <path>    Read the page includes from this directory instead
+                           of the includes service
+  --assets-dir <path>      Serve /js and /public from this directory
   --help                   Show this help message
 
 Environment Variables:
   PORT                     Server port
   BASE_PATH                Base directory to serve files from
   HOST                     Host to bind to
+  TEMPLATE_POLICY          Handling of unresolved template variables
+  CACHE_MAX_ENTRIES        Rendered pages to cache
+  CACHE_MAX_BYTES          Total size of the cached pages
+  CACHE_TTL                Time a page is cached
+  INCLUDES_SERVICE_HOST    Host of the includes service (default: localhost)
+  INCLUDES_SERVICE_PORT    Port of the includes service (default: 80)
+  INCLUDES_TTL             Time page includes are used before revalidation
+  INCLUDES_TIMEOUT         Timeout of includes service requests
+  INCLUDES_RETRIES         Retries of failed includes requests
+  INCLUDES_DIR             Directory to read the page includes from
+  ASSETS_DIR               Directory to serve /js and /public from
 
 Config File:
   Create config.json in the same directory with:
   {
     "port": 8080,
     "basePath": "/path/to/serve",
-    "host": "0.0.0.0"
+    "host": "0.0.0.0",
+    "templatePolicy": "lenient",
+    "cacheMaxEntries": 500,
+    "cacheMaxBytes": 52428800,
+    "cacheTtl": 300000,
+    "includesTtl": 300000
   }
 
 Priority: Command line options > Environment variables > Config file > Defaults
@@ -90,6 +159,29 @@ Priority: Command line options > Environment variables > Config file > Defaults
   }
 }
 
+// How a request selects an attendee's variable profile
+const PROFILE_COOKIE = 'jam-profile';
+const PROFILE_HEADER = 'x-jam-profile';
+
+// Media types of the Accept header that select a page format
+const ACCEPT_FORMATS = {
+  'text/html': 'html',
+  'application/vnd.md-handler.fragment+html': 'fragment',
+  'text/markdown': 'md',
+  'application/json': 'json'
+};
+
+// Search endpoint and the export of the whole index
+const SEARCH_PATH = '/search';
+const SEARCH_EXPORT_PATH = '/search/index.json';
+
+// Tree of the tracks, labs and pages. The path starts with `_`, so it does
+// not hide materials of the same name.
+const NAV_PATH = '/_nav';
+
+// Scripts and styles used by the page includes
+const ASSET_PATHS = ['js', 'public'];
+
 /**
  * HTTP Server implementation
  */
@@ -97,10 +189,41 @@ class MDServer {
   constructor(config) {
     this.config = config;
     this.server = null;
+    this.watcher = null;
+    this.liveReload = null;
+    this.searchIndex = null;
+    this.listeners = [];
   }
 
   async start() {
     this.server = http.createServer(this.handleRequest.bind(this));
+
+    configureIncludes({
+      ttl: this.config.get('includesTtl'),
+      timeout: this.config.get('includesTimeout'),
+      retries: this.config.get('includesRetries'),
+      dir: this.config.get('includesDir')
+    });
+    configureRenderCache({
+      maxEntries: this.config.get('cacheMaxEntries'),
+      maxBytes: this.config.get('cacheMaxBytes'),
+      ttl: this.config.get('cacheTtl')
+    });
+
+    // Cached pages are dropped, the search index is updated and pages
+    // rendered for authors reload when their files change
+    this.watcher = new FileWatcher(this.config.get('basePath')).start();
+
+    // Pages are indexed with the shared variables, so they are indexed again
+    // when those change
+    this.searchIndex = new SearchIndex(this.config.get('basePath'));
+    await this.searchIndex.build();
+    this.listen(FILE_CHANGED, ({ path: filePath }) => this.searchIndex.fileChanged(filePath));
+    this.listen(TEMPLATE_CONFIG_CHANGED, () => this.searchIndex.build());
+
+    if (isDebugMode()) {
+      this.liveReload = new LiveReload(this.config.get('basePath'));
+    }
     
     return new Promise((resolve, reject) => {
       this.server.listen(this.config.get('port'), this.config.get('host'), (err) => {
@@ -115,6 +238,16 @@ class MDServer {
     });
   }
 
+  /**
+   * Subscribes to a shared event until the server stops
+   * @param {string} event - The event name
+   * @param {Function} listener - The listener
+   */
+  listen(event, listener) {
+    events.on(event, listener);
+    this.listeners.push([event, listener]);
+  }
+
   async handleRequest(req, res) {
     try {
       const startTime = Date.now();
@@ -136,6 +269,30 @@ class MDServer {
         return;
       }
 
+      // Stream of changes for the live reload script of debug pages
+      if (requestPath === LIVE_RELOAD_PATH && this.liveReload) {
+        this.liveReload.handleRequest(req, res);
+        return;
+      }
+
+      // Full-text search over the materials
+      if (requestPath === SEARCH_PATH) {
+        const query = String(parsedUrl.query.q ?? '');
+        const limit = Math.min(100, parseInt(parsedUrl.query.limit, 10) || 20);
+        const results = this.searchIndex.search(query, { limit });
+        this.sendJson(res, 200, { query, results });
+        return;
+      }
+      if (requestPath === SEARCH_EXPORT_PATH) {
+        this.sendJson(res, 200, this.searchIndex.toJSON());
+        return;
+      }
+
+      if (requestPath === NAV_PATH) {
+        this.sendJson(res, 200, await getNavTree(this.config.get('basePath')));
+        return;
+      }
+
       // if the request is for favicon.ico, return 204 No Content
       if (requestPath === '/favicon.ico') {
         this.sendResponse(res, 204, Buffer.alloc(0), 'image/x-icon');
@@ -144,13 +301,15 @@ class MDServer {
 
       console.log('Request path:', requestPath);
       console.log('NODE_ENV:', process.env.NODE_ENV);
+      const topPath = requestPath.split('/')[1];
+      if (ASSET_PATHS.includes(topPath) && this.config.get('assetsDir')) {
+        const result = await resolveFile(requestPath, this.config.get('assetsDir'));
+        this.sendResponse(res, result.status, result.buffer, result.contentType);
+        return;
+      }
       if (process.env.NODE_ENV === 'local') {
-        let topPath = '';
-        try {
-          topPath = requestPath.split('/')[1];
-        } catch (e) {}
         console.log('Top path segment:', topPath);
-        if (['js', 'public'].includes(topPath)) {
+        if (ASSET_PATHS.includes(topPath)) {
           const innerPort = process.env.INCLUDES_SERVICE_PORT || 80;
           const path = `http://localhost:${innerPort}/${requestPath}`;
           console.log(`Proxying public file request to: ${path}`);
@@ -170,11 +329,39 @@ class MDServer {
         }
       }
 
+      // Pick the attendee's variable profile, remembering a profile chosen
+      // through the query string in a cookie
+      const profile = this.getProfile(req, parsedUrl.query);
+      const headers = {};
+      if (parsedUrl.query.profile !== undefined) {
+        headers['Set-Cookie'] = profile
+          ? `${PROFILE_COOKIE}=${encodeURIComponent(profile)}; Path=/; SameSite=Lax`
+          : `${PROFILE_COOKIE}=; Path=/; Max-Age=0; SameSite=Lax`;
+      }
+
+      // Pages come in several forms, chosen by the query or Accept header,
+      // and with the variables of the profile in the header or cookie
+      headers['Vary'] = `Accept, Cookie, ${PROFILE_HEADER}`;
+      // An attendee's values, such as credentials, are for them alone
+      if (profile) {
+        headers['Cache-Control'] = 'private';
+      }
+
       // Resolve the file using our file handler
-      const result = await resolveFile(requestPath, this.config.get('basePath'));
+      const result = await resolveFile(
+        requestPath,
+        this.config.get('basePath'),
+        {
+          templatePolicy: this.config.get('templatePolicy'),
+          profile,
+          format: this.getFormat(req, parsedUrl.query)
+        }
+      );
       
       // Send the response
-      this.sendResponse(res, result.status, result.buffer, result.contentType);
+      this.sendResponse(
+        res, result.status, result.buffer, result.contentType, headers
+      );
       
       // Log response time
       const duration = Date.now() - startTime;
@@ -186,17 +373,81 @@ class MDServer {
     }
   }
 
-  sendResponse(res, status, buffer, contentType = 'application/octet-stream') {
+  /**
+   * Gets the attendee profile for a request from the `profile` query
+   * parameter, the `X-Jam-Profile` header or the `jam-profile` cookie, in
+   * that order
+   * @returns {string|null} the profile name, or null for the shared values
+   */
+  getProfile(req, query) {
+    if (query.profile !== undefined) {
+      return String(query.profile).trim() || null;
+    }
+    const header = req.headers[PROFILE_HEADER];
+    if (header) {
+      return header.trim();
+    }
+    for (const cookie of (req.headers.cookie || '').split(';')) {
+      const [name, ...value] = cookie.trim().split('=');
+      if (name === PROFILE_COOKIE) {
+        try {
+          return decodeURIComponent(value.join('=')) || null;
+        } catch (e) {
+          return null;
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Gets the format a page is wanted in from the `format` query parameter,
+   * or else the most preferred of `ACCEPT_FORMATS` in the Accept header
+   * @returns {string|null} the format, or null for the full page
+   */
+  getFormat(req, query) {
+    if (query.format !== undefined) {
+      return String(query.format) || null;
+    }
+    let best = null;
+    for (const range of (req.headers.accept || '').split(',')) {
+      const [type, ...params] = range.split(';').map(part => part.trim());
+      const format = ACCEPT_FORMATS[type.toLowerCase()];
+      const qParam = params.find(param => param.startsWith('q='));
+      const quality = qParam ? Number(qParam.slice(2)) : 1;
+      if (format && quality > 0 && (!best || quality > best.quality)) {
+        best = { format, quality };
+      }
+    }
+    return best?.format ?? null;
+  }
+
+  sendJson(res, status, data) {
+    this.sendResponse(
+      res, status, Buffer.from(JSON.stringify(data, null, 2)),
+      'application/json; charset=utf-8'
+    );
+  }
+
+  sendResponse(res, status, buffer, contentType = 'application/octet-stream', headers = {}) {
     res.writeHead(status, {
       'Content-Type': contentType,
       'Content-Length': buffer.length,
       'Server': 'MD-Handler/1.0.0',
-      'X-Powered-By': 'Node.js'
+      'X-Powered-By': 'Node.js',
+      ...headers
     });
     res.end(buffer);
   }
 
   async stop() {
+    // Open live reload streams would keep the server from closing
+    this.liveReload?.close();
+    this.watcher?.stop();
+    for (const [event, listener] of this.listeners) {
+      events.off(event, listener);
+    }
+    this.listeners = [];
     if (this.server) {
       return new Promise((resolve) => {
         this.server.close(() => {
@@ -229,6 +480,16 @@ async function main() {
       process.exit(1);
     }
 
+    // Validate template policy
+    const templatePolicy = configManager.get('templatePolicy');
+    if (!TEMPLATE_POLICIES.includes(templatePolicy)) {
+      console.error(
+        `Error: Unknown template policy "${templatePolicy}", ` +
+        `expected one of ${TEMPLATE_POLICIES.join(', ')}`
+      );
+      process.exit(1);
+    }
+
     // Create and start main server
     const server = new MDServer(configManager);
     await server.start();
@@ -0,0 +1,195 @@
+'use strict';
+import { promises as fs } from 'fs';
+
+/**
+ * A small JSON Schema validator for the admin template configuration.
+ *
+ * Supports the keywords the configuration needs: `type`, `enum`, `const`,
+ * `properties`, `required`, `additionalProperties`, `patternProperties`,
+ * `items`, `minLength`, `maxLength`, `pattern`, `minimum` and `maximum`.
+ * Other keywords are ignored.
+ */
+
+/**
+ * Error thrown when a value does not match its schema
+ */
+class SchemaError extends Error {
+  /**
+   * @param {string[]} errors - One message per problem
+   */
+  constructor(errors) {
+    super(`Template configuration is invalid:\n  ${errors.join('\n  ')}`);
+    this.name = 'SchemaError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Gets the JSON Schema type of a value
+ * @param {*} value - The value
+ * @returns {string} the type name
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Checks a value against one type name
+ * @param {*} value - The value
+ * @param {string} type - JSON Schema type name
+ * @returns {boolean} true if the value has the type
+ */
+function hasType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Computes the edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} the number of single character edits
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Finds the known name closest to a misspelt one
+ * @param {string} name - The unknown name
+ * @param {string[]} known - The allowed names
+ * @returns {string|null} the suggestion, or null if none is close
+ */
+function suggest(name, known) {
+  let best = null;
+  let bestDistance = Math.max(2, Math.floor(name.length / 3)) + 1;
+  for (const candidate of known) {
+    const distance = editDistance(name.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+/**
+ * Validates a value against a schema
+ * @param {*} value - The value to check
+ * @param {Object} schema - The JSON schema
+ * @param {string} [location] - Path of the value, for messages
+ * @param {string[]} [errors] - List to add problems to
+ * @returns {string[]} the problems found, empty if the value is valid
+ */
+function validate(value, schema, location = '', errors = []) {
+  const where = location || 'configuration';
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => hasType(value, type))) {
+      errors.push(`${where} must be ${types.join(' or ')}, not ${typeOf(value)}`);
+      return errors;
+    }
+  }
+  if (schema.enum && !schema.enum.some(item =>
+    JSON.stringify(item) === JSON.stringify(value))) {
+    errors.push(`${where} must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`);
+  }
+  if ('const' in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    errors.push(`${where} must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${where} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${where} must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push(`${where} must match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${where} must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${where} must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) =>
+      validate(item, schema.items, `${where}[${index}]`, errors));
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    const patterns = Object.entries(schema.patternProperties || {})
+      .map(([pattern, itemSchema]) => [new RegExp(pattern, 'u'), itemSchema]);
+
+    for (const name of schema.required || []) {
+      if (!(name in value)) {
+        errors.push(`${where} is missing "${name}"`);
+      }
+    }
+
+    for (const [name, item] of Object.entries(value)) {
+      const itemLocation = location ? `${location}.${name}` : name;
+      const matching = patterns.filter(([pattern]) => pattern.test(name));
+
+      if (Object.prototype.hasOwnProperty.call(properties, name)) {
+        validate(item, properties[name], itemLocation, errors);
+      }
+      for (const [, itemSchema] of matching) {
+        validate(item, itemSchema, itemLocation, errors);
+      }
+      if (Object.prototype.hasOwnProperty.call(properties, name) ||
+          matching.length > 0) {
+        continue;
+      }
+
+      if (schema.additionalProperties === false) {
+        const suggestion = suggest(name, Object.keys(properties));
+        errors.push(`"${name}" is not allowed in ${where}` +
+          (suggestion ? `, did you mean "${suggestion}"?` : ''));
+      } else if (typeof schema.additionalProperties === 'object') {
+        validate(item, schema.additionalProperties, itemLocation, errors);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Reads a JSON schema file
+ * @param {string} filePath - Path to the schema
+ * @returns {Promise<Object>} the schema
+ */
+async function loadSchema(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read schema "${filePath}": ${error.message}`);
+  }
+}
+
+export { SchemaError, validate, loadSchema };
@@ -0,0 +1,113 @@
+'use strict';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { escapeHtml } from './html.js';
+
+/**
+ * Page layouts.
+ *
+ * A layout is an HTML file around the rendered markdown. `{{{ name }}}`
+ * inserts a slot as is and `{{ name }}` inserts it HTML-escaped. The slots
+ * are `head`, `header`, `footer`, `imageModal`, `body`, `toc`, `title` and
+ * `liveReload`; any other name is looked up in the page variables, with dots
+ * for nested values, and is empty if there is none.
+ *
+ * Layouts are looked up by name in the templates directory first and then
+ * among the built-in ones in `src/layouts/`.
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const BUILTIN_LAYOUTS_DIR = path.join(__dirname, 'layouts');
+
+const DEFAULT_LAYOUT = 'default';
+
+const LAYOUT_NAME_PATTERN = /^[\w-]+$/;
+const SLOT_PATTERN = /\{\{\{\s*([\w.-]+)\s*\}\}\}|\{\{\s*([\w.-]+)\s*\}\}/g;
+
+// layout file -> { mtimeMs, content }
+const fileCache = new Map();
+
+/**
+ * Finds the file of a layout
+ * @param {string} [name] - The layout name, `default` if not given
+ * @param {string|null} [templatesDir] - Directory of the site's layouts
+ * @returns {Promise<{name: string, file: string, mtimeMs: number}>} the
+ *  layout file and its modification time
+ */
+async function findLayout(name = DEFAULT_LAYOUT, templatesDir = null) {
+  if (typeof name !== 'string' || !LAYOUT_NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid layout name "${name}"`);
+  }
+  const directories = templatesDir
+    ? [path.resolve(templatesDir), BUILTIN_LAYOUTS_DIR]
+    : [BUILTIN_LAYOUTS_DIR];
+  for (const directory of directories) {
+    const file = path.join(directory, `${name}.html`);
+    try {
+      const stats = await fs.stat(file);
+      if (stats.isFile()) {
+        return { name, file, mtimeMs: stats.mtimeMs };
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') {
+        throw error;
+      }
+    }
+  }
+  throw new Error(`Layout "${name}" not found`);
+}
+
+/**
+ * Reads a layout, using the cached copy if it has not changed
+ * @param {{file: string, mtimeMs: number}} layout - from `findLayout`
+ * @returns {Promise<string>} the layout HTML
+ */
+async function readLayout(layout) {
+  const cached = fileCache.get(layout.file);
+  if (cached && cached.mtimeMs === layout.mtimeMs) {
+    return cached.content;
+  }
+  const content = await fs.readFile(layout.file, 'utf8');
+  fileCache.set(layout.file, { mtimeMs: layout.mtimeMs, content });
+  return content;
+}
+
+/**
+ * Looks up a dotted name in the variables
+ * @param {Object} variables - The variables
+ * @param {string} name - e.g. `components.header.title`
+ * @returns {*} the value, or undefined
+ */
+function lookup(variables, name) {
+  return name.split('.').reduce(
+    (value, key) => value !== null && typeof value === 'object'
+      && Object.prototype.hasOwnProperty.call(value, key) ? value[key] : undefined,
+    variables
+  );
+}
+
+/**
+ * Fills the slots of a layout
+ * @param {string} content - The layout HTML
+ * @param {Object} slots - HTML of the page parts by slot name
+ * @param {Object} [variables] - Values for the other names
+ * @returns {string} the page
+ */
+function renderLayout(content, slots, variables = {}) {
+  return content.replace(SLOT_PATTERN, (match, rawName, escapedName) => {
+    const name = rawName ?? escapedName;
+    let value = Object.prototype.hasOwnProperty.call(slots, name)
+      ? slots[name]
+      : lookup(variables, name);
+    if (value === undefined || value === null) {
+      return '';
+    }
+    if (typeof value === 'object') {
+      value = JSON.stringify(value);
+    }
+    return rawName ? String(value) : escapeHtml(value);
+  });
+}
+
+export { DEFAULT_LAYOUT, findLayout, readLayout, renderLayout };
@@ -0,0 +1,116 @@
+'use strict';
+import path from 'path';
+import { events, FILE_CHANGED, TEMPLATE_CONFIG_CHANGED } from './events.js';
+
+/**
+ * Reloads open pages when their markdown, an included fragment, their
+ * directory variables or the admin variables change. Pages rendered in
+ * debug mode carry a small script that listens to a Server-Sent Events
+ * stream and reloads when one of the files it was built from changes. The
+ * script names those files in `file` query parameters, and the stream only
+ * sends their changes; a stream without any gets every change.
+ */
+
+const LIVE_RELOAD_PATH = '/__live-reload';
+
+// A comment every so often keeps proxies from closing the stream
+const KEEP_ALIVE_MS = 30000;
+
+/**
+ * Renders the client script of a page
+ * @param {string[]} dependencies - Files the page was built from, relative
+ *  to the base path with `/` separators
+ * @returns {string} the script element
+ */
+function renderLiveReloadScript(dependencies) {
+  // `<` is escaped so a file name cannot end the script
+  const files = JSON.stringify(dependencies).replace(/</g, '\\u003c');
+  return `<script>
+(() => {
+  const files = new Set(${files});
+  const query = new URLSearchParams([...files].map(file => ['file', file]));
+  const source = new EventSource('${LIVE_RELOAD_PATH}?' + query);
+  source.addEventListener('change', (event) => {
+    const change = JSON.parse(event.data);
+    if (change.variables || files.has(change.path)) {
+      source.close();
+      location.reload();
+    }
+  });
+})();
+</script>`;
+}
+
+/**
+ * The Server-Sent Events stream of changes
+ */
+class LiveReload {
+  /**
+   * @param {string} basePath - The base directory files are served from
+   */
+  constructor(basePath) {
+    this.basePath = path.resolve(basePath);
+    // Files each stream is sent changes of, empty for all of them
+    this.clients = new Map();
+
+    this.onFileChanged = ({ path: filePath }) => this.broadcast({
+      path: path.relative(this.basePath, filePath).split(path.sep).join('/')
+    });
+    this.onTemplateConfigChanged = () => this.broadcast({ variables: true });
+    events.on(FILE_CHANGED, this.onFileChanged);
+    events.on(TEMPLATE_CONFIG_CHANGED, this.onTemplateConfigChanged);
+
+    this.keepAlive = setInterval(() => {
+      for (const client of this.clients.keys()) {
+        client.write(': keep-alive\n\n');
+      }
+    }, KEEP_ALIVE_MS);
+    this.keepAlive.unref();
+  }
+
+  /**
+   * Opens a stream for a page
+   * @param {http.IncomingMessage} req - The request
+   * @param {http.ServerResponse} res - The response, kept open
+   */
+  handleRequest(req, res) {
+    const files = new URL(req.url, 'http://localhost').searchParams.getAll('file');
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+    res.write('retry: 1000\n\n');
+    this.clients.set(res, new Set(files));
+    req.on('close', () => this.clients.delete(res));
+  }
+
+  /**
+   * Sends a change to the open pages it concerns
+   * @param {Object} change - `{ path }` of a changed file, or
+   *  `{ variables: true }`, which concerns every page
+   */
+  broadcast(change) {
+    const message = `event: change\ndata: ${JSON.stringify(change)}\n\n`;
+    for (const [client, files] of this.clients) {
+      if (change.variables || files.size === 0 || files.has(change.path)) {
+        client.write(message);
+      }
+    }
+  }
+
+  /**
+   * Closes all streams and stops listening for changes
+   */
+  close() {
+    events.off(FILE_CHANGED, this.onFileChanged);
+    events.off(TEMPLATE_CONFIG_CHANGED, this.onTemplateConfigChanged);
+    clearInterval(this.keepAlive);
+    for (const client of this.clients.keys()) {
+      client.end();
+    }
+    this.clients.clear();
+  }
+}
+
+export { LIVE_RELOAD_PATH, LiveReload, renderLiveReloadScript };
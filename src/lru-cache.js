@@ -0,0 +1,149 @@
+'use strict';
+
+/**
+ * Least recently used cache with limits on the number of entries, on
+ * their total size and on their age. `maxEntries` 0 turns the cache off,
+ * `maxBytes` 0 means no size limit and `ttl` 0 means entries do not expire.
+ */
+class LruCache {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxEntries] - Most entries to keep
+   * @param {number} [options.maxBytes] - Largest total size to keep
+   * @param {number} [options.ttl] - Milliseconds an entry is kept
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries ?? 500;
+    this.maxBytes = options.maxBytes ?? 0;
+    this.ttl = options.ttl ?? 0;
+    // Map keeps insertion order, the first entry is the least recently used
+    this.entries = new Map();
+    this.bytes = 0;
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+  }
+
+  /**
+   * Gets a value, marking it as recently used
+   * @param {string} key - The key
+   * @returns {*} the value, or undefined if it is not cached or has expired
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expires <= Date.now()) {
+      this.delete(key);
+    }
+    if (!this.entries.has(key)) {
+      this.misses++;
+      return undefined;
+    }
+    this.hits++;
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Stores a value, evicting the least recently used entries over the
+   * limits. A value larger than `maxBytes` is not stored.
+   * @param {string} key - The key
+   * @param {*} value - The value
+   * @param {number} [size] - Size of the value in bytes
+   */
+  set(key, value, size = 0) {
+    this.delete(key);
+    if (this.maxEntries <= 0 || (this.maxBytes > 0 && size > this.maxBytes)) {
+      return;
+    }
+    const expires = this.ttl > 0 ? Date.now() + this.ttl : Infinity;
+    this.entries.set(key, { value, size, expires });
+    this.bytes += size;
+    this.evict();
+  }
+
+  /**
+   * Removes the least recently used entries until the cache is within its
+   * limits
+   */
+  evict() {
+    while (this.entries.size > this.maxEntries ||
+        (this.maxBytes > 0 && this.bytes > this.maxBytes)) {
+      this.delete(this.entries.keys().next().value);
+      this.evictions++;
+    }
+  }
+
+  /**
+   * Removes an entry
+   * @param {string} key - The key
+   * @returns {boolean} true if there was an entry
+   */
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return false;
+    }
+    this.bytes -= entry.size;
+    this.entries.delete(key);
+    return true;
+  }
+
+  /**
+   * Removes the entries whose value matches
+   * @param {Function} predicate - `(value, key) => boolean`
+   * @returns {number} the number of entries removed
+   */
+  deleteWhere(predicate) {
+    let removed = 0;
+    for (const [key, entry] of [...this.entries]) {
+      if (predicate(entry.value, key)) {
+        this.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Removes all entries
+   */
+  clear() {
+    this.entries.clear();
+    this.bytes = 0;
+  }
+
+  /**
+   * Changes the limits, evicting entries over the new ones
+   * @param {Object} options - `maxEntries`, `maxBytes` and `ttl`, as for
+   *  the constructor. A new `ttl` applies to entries stored after it.
+   */
+  resize(options) {
+    this.maxEntries = options.maxEntries ?? this.maxEntries;
+    this.maxBytes = options.maxBytes ?? this.maxBytes;
+    this.ttl = options.ttl ?? this.ttl;
+    this.evict();
+  }
+
+  /**
+   * Gets the cache statistics
+   * @returns {Object} entries, bytes, limits, hits, misses (including
+   *  expired entries), evictions and the hit rate
+   */
+  stats() {
+    const lookups = this.hits + this.misses;
+    return {
+      entries: this.entries.size,
+      bytes: this.bytes,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      ttl: this.ttl,
+      hits: this.hits,
+      misses: this.misses,
+      evictions: this.evictions,
+      hitRate: lookups > 0 ? this.hits / lookups : 0
+    };
+  }
+}
+
+export { LruCache };
@@ -1,32 +1,52 @@
 'use strict';
 
 /**
- * Markdown-it breadcrumbs plugin. All it does is replace ${breadcrumbs} with
+ * Markdown-it breadcrumbs plugin. Replaces a ${breadcrumbs} line with the
+ * trail in `env.breadcrumbs`, a list of `{ title, href }` from the top of the
+ * site down to the current page. Without a trail it renders
  * <div id="breadcrumbs"></div> for client-side population.
  */
 
 function markdownItBreadcrumbs(md, options = {}) {
 
-  // Inline rule for comment parsing
-  function breadcrumbsRule(state, silent) {
-    const start = state.pos;
-    const max = state.posMax;
+  // Block rule for breadcrumbs parsing
+  function breadcrumbsRule(state, startLine, endLine, silent) {
+    // indented code blocks are not directives
+    if (state.sCount[startLine] - state.blkIndent >= 4) return false;
 
-    // Check if we're at the start of a status: ${status 
-    if (start + '${breadcrumbs}'.length != max) return false;
-    if (state.src.slice(start, start + '${breadcrumbs}'.length) !== '${breadcrumbs}') return false;
+    const start = state.bMarks[startLine] + state.tShift[startLine];
+    const max = state.eMarks[startLine];
+    if (state.src.slice(start, max).trim() !== '${breadcrumbs}') return false;
+    if (silent) return true;
 
-    state.pos = start + '${breadcrumbs}'.length;
+    const token = state.push('breadcrumbs', '', 0);
+    token.map = [startLine, startLine + 1];
+    state.line = startLine + 1;
     return true;
   }
 
-  // Register the inline rule
-  md.inline.ruler.after('emphasis', 'breadcrumbs', breadcrumbsRule);
-
-  // Renderer for comment tokens
-  md.renderer.rules.breadcrumbs = function(tokens, idx) {
-    
-    return '<div id="breadcrumbs"></div>';
+  // Register the block rule so it can also end a paragraph
+  md.block.ruler.before('paragraph', 'breadcrumbs', breadcrumbsRule, {
+    alt: ['paragraph', 'reference', 'blockquote', 'list']
+  });
+
+  // Renderer for breadcrumbs tokens
+  md.renderer.rules.breadcrumbs = function(tokens, idx, opts, env) {
+    const trail = env?.breadcrumbs;
+    if (!trail || trail.length === 0) {
+      return '<div id="breadcrumbs"></div>\n';
+    }
+
+    const items = trail.map((crumb, i) => {
+      const title = md.utils.escapeHtml(crumb.title);
+      if (i === trail.length - 1 || !crumb.href) {
+        return `<li aria-current="page">${title}</li>`;
+      }
+      return `<li><a href="${md.utils.escapeHtml(crumb.href)}">${title}</a></li>`;
+    });
+
+    return '<nav id="breadcrumbs" class="breadcrumbs" aria-label="Breadcrumbs">' +
+      `<ol>${items.join('')}</ol></nav>\n`;
   };
 }
 
@@ -18,10 +18,6 @@ function plugin(keyword = 'comment') {
       const start = state.pos;
       const max = state.posMax;
 
-      console.log('commentRule at pos', start, 'max', max,
-        max - start > 10 ? state.src.substr(start, 10) + '...' : state.src.charAt(start)
-      );
-
       // Check if we're at the start of a comment: ${comment (or keyword)
       if (start + keyword.length + 3 > max) return false;
       if (state.src.slice(start, start + keyword.length + 3) !== `\${${keyword} `) return false;
@@ -39,8 +35,6 @@ function plugin(keyword = 'comment') {
 
       if (!foundEnd) return false;
 
-      console.log('FOUND comment from', start, 'to', pos);
-
       // Extract the content between {$comment and }
       const content = state.src.slice(start + keyword.length + 3, pos).trim();
 
@@ -67,7 +61,9 @@ function plugin(keyword = 'comment') {
       if (!silent) {
         const token = state.push(keyword, '', 0);
         token.content = commentText;
-        token.meta = { author };
+        // line of the comment within the inline content, for reports
+        const line = state.src.slice(0, start).split('\n').length - 1;
+        token.meta = { author, line };
       }
 
       state.pos = pos + 1; // Move past the closing }
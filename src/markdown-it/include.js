@@ -0,0 +1,161 @@
+'use strict';
+import fs from 'fs';
+import path from 'path';
+import { parseFrontMatter } from '../front-matter.js';
+
+/**
+ * Markdown-it plugin for including shared markdown fragments
+ * Syntax: ${include path/to/fragment.md} on a line of its own
+ *
+ * Paths starting with `/` are relative to the base path. Other paths are
+ * relative to the including file, falling back to the base path. Fragments
+ * cannot be outside the base path.
+ *
+ * The render environment must provide `filePath` (the file being rendered)
+ * and `basePath`. The `processContent(content, env)` option is applied to
+ * each fragment before it is parsed, e.g. to substitute template variables.
+ * Set `followIncludes` to false in the environment to skip fragments.
+ *
+ * In DEBUG mode: missing fragments and include cycles render as
+ *   <div class="include-error">...</div>
+ * In production: they render as empty string
+ */
+
+const INCLUDE_PATTERN = /^\$\{include\s+([^}]+?)\s*\}\s*$/;
+
+/**
+ * Checks that a path is inside the base path
+ * @param {string} basePath - The base directory
+ * @param {string} target - Absolute path to check
+ * @returns {boolean} true if the target is the base path or below it
+ */
+function isInsideBasePath(basePath, target) {
+  const relative = path.relative(path.resolve(basePath), target);
+  return !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+/**
+ * Gets the chain of files currently being included, outermost first
+ * @param {Object} env - The markdown-it render environment
+ * @returns {string[]} absolute file paths
+ */
+function getIncludeStack(env) {
+  return env.includeStack || (env.filePath ? [path.resolve(env.filePath)] : []);
+}
+
+/**
+ * Finds and reads a fragment
+ * @param {string} target - The path given in the include directive
+ * @param {Object} env - The markdown-it render environment
+ * @returns {{path: string, content: string}} the fragment
+ */
+function loadFragment(target, env) {
+  if (!env.basePath) {
+    throw new Error(`Cannot include "${target}": no base path`);
+  }
+
+  const candidates = [];
+  if (target.startsWith('/')) {
+    candidates.push(path.join(path.resolve(env.basePath), target));
+  } else {
+    // Relative to the fragment the include is in, or else to the page
+    const current = getIncludeStack(env).at(-1);
+    if (current) {
+      candidates.push(path.resolve(path.dirname(current), target));
+    }
+    candidates.push(path.resolve(env.basePath, target));
+  }
+
+  for (const candidate of candidates) {
+    if (!isInsideBasePath(env.basePath, candidate)) {
+      throw new Error(
+        `Cannot include "${target}": directory traversal not allowed`
+      );
+    }
+    // A fragment created later also changes the page
+    env.dependencies?.add(candidate);
+    const stack = getIncludeStack(env);
+    if (stack.includes(candidate)) {
+      const chain = [...stack, candidate]
+        .map(file => path.relative(env.basePath, file))
+        .join(' -> ');
+      throw new Error(`Include cycle detected: ${chain}`);
+    }
+    try {
+      return { path: candidate, content: fs.readFileSync(candidate, 'utf8') };
+    } catch (error) {
+      if (!['ENOENT', 'EISDIR', 'ENOTDIR'].includes(error.code)) {
+        throw error;
+      }
+    }
+  }
+
+  throw new Error(`Included fragment "${target}" not found`);
+}
+
+function markdownItInclude(md, options = {}) {
+
+  let debugMode = options.debug || process.env.DEBUG === 'true' || process.env.NODE_ENV === 'development';
+  const processContent = options.processContent || (content => content);
+
+  // Block rule for include parsing
+  function includeRule(state, startLine, endLine, silent) {
+    // indented code blocks are not directives
+    if (state.sCount[startLine] - state.blkIndent >= 4) return false;
+
+    const start = state.bMarks[startLine] + state.tShift[startLine];
+    const max = state.eMarks[startLine];
+    const match = INCLUDE_PATTERN.exec(state.src.slice(start, max));
+    if (!match) return false;
+    if (silent) return true;
+
+    state.line = startLine + 1;
+
+    const env = state.env;
+    if (env.followIncludes === false) {
+      // e.g. when scanning a single file, leave the fragment out
+      return true;
+    }
+
+    let fragment;
+    try {
+      fragment = loadFragment(match[1], env);
+    } catch (error) {
+      const current = getIncludeStack(env).at(-1);
+      console.warn(`Include failed in "${current}": ${error.message}`);
+      const token = state.push('include_error', '', 0);
+      token.content = error.message;
+      token.map = [startLine, state.line];
+      return true;
+    }
+
+    const stack = getIncludeStack(env);
+    env.includeStack = [...stack, fragment.path];
+    try {
+      const content = processContent(
+        parseFrontMatter(fragment.content).content, env
+      );
+      state.md.block.parse(content, state.md, env, state.tokens);
+    } finally {
+      env.includeStack = stack;
+    }
+
+    return true;
+  }
+
+  // Register the block rule so it can also end a paragraph
+  md.block.ruler.before('paragraph', 'include', includeRule, {
+    alt: ['paragraph', 'reference', 'blockquote', 'list']
+  });
+
+  // Renderer for failed includes
+  md.renderer.rules.include_error = function(tokens, idx) {
+    if (!debugMode) {
+      return ''; // Return empty string in production
+    }
+    return `<div class="include-error">${md.utils.escapeHtml(tokens[idx].content)}</div>\n`;
+  };
+}
+
+export default markdownItInclude;
+export { isInsideBasePath };
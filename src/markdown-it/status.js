@@ -1,56 +1,202 @@
 'use strict';
 
 /**
- * Markdown-it status plugin. All it does is remove ${status ...} constructs.
+ * Markdown-it plugin for the document status block
+ * Syntax: ${status ...} starting a line, where each line is a `field: value`
+ * pair, a `- item` of the list field above it, or a note
+ *
+ *   ${status
+ *   state: review
+ *   owner: @tw
+ *   reviewers: @ab 2025-11-01, @cd
+ *   todo: add screenshots for step 3
+ *   todo: check the cluster URL
+ *   }
+ *
+ * Fields are parsed into the token's `meta` (see `parseStatus`). A `}`
+ * inside the block can be escaped as `\}`.
+ *
+ * In DEBUG mode: renders as a review panel <div class="status">...</div>
+ * In production: renders as empty string
  */
 
-function markdownItStatus(md, options = {}) {
+const STATES = ['draft', 'review', 'final'];
+
+/**
+ * Parses a reviewer entry such as `@ab 2025-11-01`
+ * @param {string} text - The reviewer entry
+ * @returns {{name: string, date: string|null}} the reviewer
+ */
+function parseReviewer(text) {
+  const [name, ...rest] = text.trim().split(/\s+/);
+  return {
+    name: name.replace(/^@/, ''),
+    date: rest.join(' ') || null
+  };
+}
+
+/**
+ * Parses the text of a status block into structured fields
+ * @param {string} text - The content of the status block
+ * @returns {{state: string|null, owner: string|null,
+ *   reviewers: Array<{name: string, date: string|null}>, todo: string[],
+ *   notes: string}} the status
+ */
+function parseStatus(text) {
+  const status = {
+    state: null,
+    owner: null,
+    reviewers: [],
+    todo: [],
+    notes: ''
+  };
+  const notes = [];
+
+  // the field a `- item` line continues
+  let listField = null;
 
-  // Inline rule for comment parsing
-  function statusRule(state, silent) {
-    const start = state.pos;
-    const max = state.posMax;
-
-    console.log('statusRule at pos', start, 'max', max,
-      max - start > 10 ? state.src.substr(start, 10) + '...' : state.src.charAt(start)
-    );
-
-    // Check if we're at the start of a status: ${status 
-    if (start + 'status'.length + 3 > max) return false;
-    if (state.src.slice(start, start + 'status'.length + 3) !== `\${status `) return false;
-
-    // Find the closing brace
-    let pos = start + 'status'.length + 3;
-    let foundEnd = false;
-    while (pos < max) {
-      if (state.src[pos] === '}') {
-        if (pos-1 >= start && state.src[pos-1] === '\\') {
-          // Escaped closing brace, skip it
-          pos++;
-          continue;
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    const item = /^[-*]\s+(.*)$/.exec(line);
+    if (item && listField) {
+      if (listField === 'todo') {
+        status.todo.push(item[1].trim());
+      } else {
+        status.reviewers.push(parseReviewer(item[1]));
+      }
+      continue;
+    }
+
+    const field = /^(state|owner|reviewers?|todo)\s*:\s*(.*)$/i.exec(line);
+    if (!field) {
+      listField = null;
+      notes.push(line);
+      continue;
+    }
+
+    const key = field[1].toLowerCase();
+    const value = field[2].trim();
+    listField = null;
+    switch (key) {
+      case 'state':
+        status.state = value.toLowerCase() || null;
+        break;
+      case 'owner':
+        status.owner = value.replace(/^@/, '') || null;
+        break;
+      case 'reviewer':
+      case 'reviewers':
+        if (value) {
+          status.reviewers.push(...value.split(',').filter(r => r.trim())
+            .map(parseReviewer));
+        } else {
+          listField = 'reviewers';
+        }
+        break;
+      case 'todo':
+        if (value) {
+          status.todo.push(value);
+        } else {
+          listField = 'todo';
         }
-        foundEnd = true;
         break;
+    }
+  }
+
+  status.notes = notes.join('\n');
+  return status;
+}
+
+function markdownItStatus(md, options = {}) {
+
+  let debugMode = options.debug || process.env.DEBUG === 'true' || process.env.NODE_ENV === 'development';
+
+  // Block rule for status parsing: the block starts a line and ends at the
+  // first unescaped `}`, so `- item` lines stay inside it
+  function statusRule(state, startLine, endLine, silent) {
+    // indented code blocks are not directives
+    if (state.sCount[startLine] - state.blkIndent >= 4) return false;
+
+    const start = state.bMarks[startLine] + state.tShift[startLine];
+    if (!/^\$\{status(\s|$)/.test(state.src.slice(start, state.eMarks[startLine]))) {
+      return false;
+    }
+
+    // Find the closing brace, which must end its line
+    let line = startLine;
+    let pos = start + '${status'.length;
+    let end = -1;
+    while (line < endLine && end < 0) {
+      const max = state.eMarks[line];
+      for (; pos < max; pos++) {
+        if (state.src[pos] === '}' && state.src[pos - 1] !== '\\') {
+          end = pos;
+          break;
+        }
+      }
+      if (end < 0) {
+        line++;
+        pos = state.bMarks[line];
       }
-      pos++;
     }
+    if (end < 0 || state.src.slice(end + 1, state.eMarks[line]).trim()) return false;
+    if (silent) return true;
 
-    if (!foundEnd) return false;
+    const token = state.push('status', '', 0);
+    token.block = true;
+    token.map = [startLine, line + 1];
+    token.content = state.src
+      .slice(start + '${status'.length, end)
+      .replace(/\\}/g, '}')
+      .trim();
+    token.meta = parseStatus(token.content);
 
-    console.log('FOUND status from', start, 'to', pos);
-    
-    state.pos = pos + 1; // Move past the closing }
+    state.line = line + 1;
     return true;
   }
 
-  // Register the inline rule
-  md.inline.ruler.after('emphasis', 'status', statusRule);
+  // Register the block rule so it can also end a paragraph
+  md.block.ruler.before('paragraph', 'status', statusRule, {
+    alt: ['paragraph', 'reference', 'blockquote', 'list']
+  });
 
-  // Renderer for comment tokens
+  // Renderer for status tokens
   md.renderer.rules.status = function(tokens, idx) {
-    
-    return '';
+    if (!debugMode) {
+      return ''; // Return empty string in production
+    }
+
+    const escape = md.utils.escapeHtml;
+    const status = tokens[idx].meta || parseStatus(tokens[idx].content);
+    const stateClass = STATES.includes(status.state) ? ` ${status.state}` : '';
+
+    let html = `<div class="status${stateClass}">`;
+    html += `<span class="label">Status${status.state ? `: ${escape(status.state)}` : ''} </span>`;
+    if (status.owner) {
+      html += `<span class="owner">@${escape(status.owner)} </span>`;
+    }
+    if (status.reviewers.length > 0) {
+      html += '<span class="reviewers">Reviewed by ';
+      html += status.reviewers.map(reviewer =>
+        `@${escape(reviewer.name)}${reviewer.date ? ` (${escape(reviewer.date)})` : ''}`
+      ).join(', ');
+      html += ' </span>';
+    }
+    if (status.todo.length > 0) {
+      html += '<ul class="todo">';
+      html += status.todo.map(item => `<li>${escape(item)}</li>`).join('');
+      html += '</ul>';
+    }
+    if (status.notes) {
+      html += `<span class="message">${escape(status.notes)}</span>`;
+    }
+    html += '</div>\n';
+
+    return html;
   };
 }
 
 export default markdownItStatus;
+export { parseStatus, STATES };
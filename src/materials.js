@@ -0,0 +1,115 @@
+'use strict';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * Helpers for walking the materials tree under the base path
+ */
+
+const FRAGMENTS_DIR_NAME = 'fragments';
+
+/**
+ * Checks whether a directory entry is skipped when walking the tree
+ * @param {string} name - The entry name
+ * @returns {boolean} true for hidden entries and installed packages
+ */
+function isIgnoredEntry(name) {
+  return name.startsWith('.') || name === 'node_modules';
+}
+
+/**
+ * Checks whether a file is in a `fragments` directory, whose markdown files
+ * are included by pages rather than pages of their own
+ * @param {string} relativePath - Path of the file relative to the base path,
+ *  using `/` separators
+ * @returns {boolean} true if one of its directories is named `fragments`
+ */
+function isFragmentPath(relativePath) {
+  return relativePath.split('/').slice(0, -1).includes(FRAGMENTS_DIR_NAME);
+}
+
+/**
+ * Lists all markdown files under the base path
+ * @param {string} basePath - The base directory files are served from
+ * @returns {Promise<string[]>} paths relative to the base path, using `/`
+ *  separators, in sorted order
+ */
+async function listMarkdownFiles(basePath) {
+  const files = [];
+
+  const walk = async (relativeDir) => {
+    const entries = await fs.readdir(
+      path.join(basePath, relativeDir), { withFileTypes: true }
+    );
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+      if (isIgnoredEntry(entry.name)) continue;
+      const relativePath = relativeDir
+        ? `${relativeDir}/${entry.name}`
+        : entry.name;
+      if (entry.isDirectory()) {
+        await walk(relativePath);
+      } else if (entry.isFile() && entry.name.toLowerCase().endsWith('.md')) {
+        files.push(relativePath);
+      }
+    }
+  };
+
+  await walk('');
+  return files;
+}
+
+/**
+ * Lists one directory of the materials tree, directories first
+ * @param {string} basePath - The base directory files are served from
+ * @param {string} relativeDir - Path of the directory relative to the base
+ *  path, using `/` separators, empty for the base path itself
+ * @returns {Promise<Array<{name: string, path: string, type: string}>>}
+ *  the entries, `type` being `directory`, `markdown` or `file`
+ * @throws {Error} if the directory is outside the base path
+ */
+async function listDirectory(basePath, relativeDir = '') {
+  const root = path.resolve(basePath);
+  const directory = path.resolve(root, relativeDir.replace(/^\/+/, ''));
+  const relative = path.relative(root, directory);
+  if (relative.startsWith('..') || path.isAbsolute(relative)) {
+    throw new Error('Directory traversal not allowed');
+  }
+
+  const entries = await fs.readdir(directory, { withFileTypes: true });
+  return entries
+    .filter(entry => !isIgnoredEntry(entry.name) &&
+      (entry.isDirectory() || entry.isFile()))
+    .map(entry => ({
+      name: entry.name,
+      path: relative
+        ? `${relative.split(path.sep).join('/')}/${entry.name}`
+        : entry.name,
+      type: entry.isDirectory()
+        ? 'directory'
+        : entry.name.toLowerCase().endsWith('.md') ? 'markdown' : 'file'
+    }))
+    .sort((a, b) => (a.type === 'directory') !== (b.type === 'directory')
+      ? (a.type === 'directory' ? -1 : 1)
+      : a.name.localeCompare(b.name));
+}
+
+/**
+ * Gets the URL a markdown file is served at
+ * @param {string} relativePath - Path of the markdown file relative to the
+ *  base path, using `/` separators
+ * @returns {string} the URL path of the rendered page
+ */
+function getPageUrl(relativePath) {
+  const url = '/' + relativePath.split('/').map(encodeURIComponent).join('/');
+  return url.replace(/(^|\/)index\.md$/i, '$1').replace(/\.md$/i, '.html');
+}
+
+export {
+  FRAGMENTS_DIR_NAME,
+  isIgnoredEntry,
+  isFragmentPath,
+  listMarkdownFiles,
+  listDirectory,
+  getPageUrl
+};
@@ -0,0 +1,206 @@
+'use strict';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { events, FILE_CHANGED } from './events.js';
+import { FRAGMENTS_DIR_NAME, isIgnoredEntry, getPageUrl } from './materials.js';
+import { readPageTitle, readDirectoryTitle } from './page-title.js';
+
+/**
+ * Navigation tree of the materials: the tracks, labs and pages under the
+ * base path in reading order.
+ *
+ * Entries of a directory are ordered by the numeric prefix of their names
+ * (`01-setup.md`, `02-deploy.md`, ...) and then by name. A directory may
+ * list its entries in an `_order.json` file, `["setup.md", "lab2", ...]`,
+ * to put them first in that order. `fragments` directories hold parts of
+ * pages and are left out.
+ */
+
+const ORDER_FILE_NAME = '_order.json';
+
+const NUMERIC_PREFIX_PATTERN = /^(\d+)[-_. ]/;
+
+// Trees by base path, built when first asked for
+const trees = new Map();
+
+// A tree is built again after any change to its files
+events.on(FILE_CHANGED, ({ path: filePath }) => {
+  for (const basePath of trees.keys()) {
+    if (!path.relative(basePath, filePath).startsWith('..')) {
+      trees.delete(basePath);
+    }
+  }
+});
+
+/**
+ * Turns a file or directory name into a title, for entries without one
+ * @param {string} name - The entry name
+ * @returns {string} e.g. `Deploy flow` for `02-deploy-flow.md`
+ */
+function nameToTitle(name) {
+  const title = name
+    .replace(/\.md$/i, '')
+    .replace(NUMERIC_PREFIX_PATTERN, '')
+    .replace(/[-_]+/g, ' ')
+    .trim();
+  return title ? title[0].toUpperCase() + title.slice(1) : name;
+}
+
+/**
+ * Compares entry names by numeric prefix, then by name
+ */
+function compareNames(a, b) {
+  const prefixA = NUMERIC_PREFIX_PATTERN.exec(a);
+  const prefixB = NUMERIC_PREFIX_PATTERN.exec(b);
+  if (prefixA && prefixB && prefixA[1] !== prefixB[1]) {
+    return Number(prefixA[1]) - Number(prefixB[1]);
+  }
+  if (!prefixA !== !prefixB) {
+    return prefixA ? -1 : 1;
+  }
+  return a.localeCompare(b, undefined, { numeric: true });
+}
+
+/**
+ * Reads the order file of a directory
+ * @param {string} directory - Absolute path of the directory
+ * @returns {Promise<string[]>} the listed names, empty if there is no file
+ */
+async function readOrderFile(directory) {
+  const filePath = path.join(directory, ORDER_FILE_NAME);
+  try {
+    const order = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    if (!Array.isArray(order)) {
+      throw new Error('expected a list of names');
+    }
+    return order.map(String);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`Invalid order file "${filePath}": ${error.message}`);
+    }
+    return [];
+  }
+}
+
+/**
+ * Builds the node of a directory
+ * @param {string} basePath - The base directory files are served from
+ * @param {string} relativeDir - Path of the directory relative to the base
+ *  path, using `/` separators, empty for the base path
+ * @returns {Promise<Object|null>} the node, or null if there are no pages
+ *  in or below the directory
+ */
+async function buildDirectory(basePath, relativeDir) {
+  const directory = path.join(basePath, ...relativeDir.split('/'));
+  const entries = (await fs.readdir(directory, { withFileTypes: true }))
+    .filter(entry => !isIgnoredEntry(entry.name) &&
+      !(entry.isDirectory() && entry.name === FRAGMENTS_DIR_NAME));
+
+  // Listed entries first, in the order file's order; `setup` stands for
+  // `setup.md` too
+  const order = await readOrderFile(directory);
+  const rank = (name) => {
+    const index = order.findIndex(item => item === name || `${item}.md` === name);
+    return index < 0 ? order.length : index;
+  };
+  entries.sort((a, b) => rank(a.name) - rank(b.name) || compareNames(a.name, b.name));
+
+  const children = [];
+  let hasIndex = false;
+  for (const entry of entries) {
+    const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      const child = await buildDirectory(basePath, relativePath);
+      if (child) children.push(child);
+    } else if (entry.isFile() && /\.md$/i.test(entry.name)) {
+      if (entry.name.toLowerCase() === 'index.md') {
+        hasIndex = true;
+        continue;
+      }
+      children.push({
+        type: 'page',
+        name: entry.name,
+        path: relativePath,
+        url: getPageUrl(relativePath),
+        title: await readPageTitle(path.join(directory, entry.name)) ??
+          nameToTitle(entry.name)
+      });
+    }
+  }
+
+  if (!hasIndex && children.length === 0) {
+    return null;
+  }
+  const name = relativeDir ? path.posix.basename(relativeDir) : '';
+  return {
+    type: 'directory',
+    name,
+    path: relativeDir,
+    url: hasIndex ? getPageUrl(relativeDir ? `${relativeDir}/index.md` : 'index.md') : null,
+    title: await readDirectoryTitle(directory) ??
+      (relativeDir ? nameToTitle(name) : 'Home'),
+    children
+  };
+}
+
+/**
+ * Gets the navigation tree of the materials
+ * @param {string} basePath - The base directory files are served from
+ * @returns {Promise<Object>} the root directory node. Directory nodes have
+ *  `children`, and a `url` if they have an index page; page nodes have the
+ *  `path` of their markdown file and the `url` of the rendered page.
+ */
+function getNavTree(basePath) {
+  const root = path.resolve(basePath);
+  if (!trees.has(root)) {
+    const tree = buildDirectory(root, '').then(node => node ?? {
+      type: 'directory', name: '', path: '', url: null, title: 'Home', children: []
+    });
+    // A failed build is tried again on the next request
+    tree.catch(() => trees.delete(root));
+    trees.set(root, tree);
+  }
+  return trees.get(root);
+}
+
+/**
+ * Lists the pages of a tree in reading order: each directory's index page,
+ * then its entries
+ * @param {Object} node - A directory node
+ * @returns {Array<{path: string, url: string, title: string}>} the pages
+ */
+function flattenPages(node) {
+  const pages = [];
+  if (node.url) {
+    const indexPath = node.path ? `${node.path}/index.md` : 'index.md';
+    pages.push({ path: indexPath, url: node.url, title: node.title });
+  }
+  for (const child of node.children) {
+    if (child.type === 'directory') {
+      pages.push(...flattenPages(child));
+    } else {
+      pages.push({ path: child.path, url: child.url, title: child.title });
+    }
+  }
+  return pages;
+}
+
+/**
+ * Finds the pages before and after a page in reading order
+ * @param {string} basePath - The base directory files are served from
+ * @param {string} relativePath - Path of the markdown page relative to the
+ *  base path, using `/` separators
+ * @returns {Promise<{previous: Object|null, next: Object|null}>} the
+ *  neighbouring pages with their `title` and `url`
+ */
+async function getPageNeighbours(basePath, relativePath) {
+  const pages = flattenPages(await getNavTree(basePath));
+  const index = pages.findIndex(page => page.path === relativePath);
+  const neighbour = (page) => page ? { title: page.title, url: page.url } : null;
+  return {
+    previous: index > 0 ? neighbour(pages[index - 1]) : null,
+    next: index >= 0 ? neighbour(pages[index + 1]) : null
+  };
+}
+
+export { ORDER_FILE_NAME, getNavTree, flattenPages, getPageNeighbours };
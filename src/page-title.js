@@ -0,0 +1,77 @@
+'use strict';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { parseFrontMatter } from './front-matter.js';
+
+/**
+ * Finds the title of a markdown page: the front matter `title`, or else the
+ * text of the first heading
+ * @param {string} content - The raw markdown content
+ * @returns {string|null} the title, or null if the page has none
+ */
+function getMarkdownTitle(content) {
+  const { data, content: body } = parseFrontMatter(content);
+  if (data.title !== undefined && data.title !== null) {
+    return String(data.title);
+  }
+
+  let inFence = false;
+  for (const line of body.split(/\r?\n/)) {
+    if (/^\s{0,3}(```|~~~)/.test(line)) {
+      inFence = !inFence;
+      continue;
+    }
+    if (inFence) continue;
+    const match = /^\s{0,3}#{1,6}\s+(.*?)(?:\s+#+)?\s*$/.exec(line);
+    if (match) {
+      return match[1]
+        .replace(/[*_`]/g, '')                   // Remove emphasis and code marks
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1') // Keep only link text
+        .trim();
+    }
+  }
+  return null;
+}
+
+/**
+ * Reads the title of a page file. Markdown files are read as in
+ * `getMarkdownTitle`, HTML files use their `<title>` element.
+ * @param {string} filePath - Path to a `.md` or `.html` file
+ * @returns {Promise<string|null>} the title, or null if the file does not
+ *  exist or has no title
+ */
+async function readPageTitle(filePath) {
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'EISDIR') {
+      return null;
+    }
+    throw error;
+  }
+
+  if (path.extname(filePath).toLowerCase() === '.md') {
+    try {
+      return getMarkdownTitle(content);
+    } catch (error) {
+      console.warn(`Cannot read title of "${filePath}": ${error.message}`);
+      return null;
+    }
+  }
+  const match = /<title[^>]*>([\s\S]*?)<\/title>/i.exec(content);
+  return match ? match[1].trim() || null : null;
+}
+
+/**
+ * Reads the title of a directory from its index page
+ * @param {string} directory - Path to the directory
+ * @returns {Promise<string|null>} the title, or null if there is no index
+ *  page with a title
+ */
+async function readDirectoryTitle(directory) {
+  return await readPageTitle(path.join(directory, 'index.html')) ??
+    await readPageTitle(path.join(directory, 'index.md'));
+}
+
+export { getMarkdownTitle, readPageTitle, readDirectoryTitle };
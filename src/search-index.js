@@ -0,0 +1,386 @@
+'use strict';
+import path from 'path';
+import {
+  readPageSource,
+  parseMarkdown,
+  generateSlug
+} from './file-handler.js';
+import {
+  listMarkdownFiles,
+  getPageUrl,
+  isIgnoredEntry,
+  isFragmentPath
+} from './materials.js';
+import { escapeHtml } from './html.js';
+
+/**
+ * Full-text search over the markdown pages under the base path.
+ *
+ * Pages are split into sections at their headings, and the words of each
+ * section's heading and text are indexed, with those of the page title and
+ * the front matter `keywords` and `tags` counting for its first section.
+ * Pages are indexed as they are served with the shared variables, so the
+ * anchors match the ids of the rendered headings. The fragments pages
+ * include are indexed as part of those pages only.
+ */
+
+// How much a word counts by where it is found
+const WEIGHTS = { title: 5, keywords: 4, heading: 3, text: 1 };
+
+// Characters of section text around the first match in a snippet
+const SNIPPET_LENGTH = 160;
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Splits text into lowercase words
+ * @param {string} text - The text
+ * @returns {string[]} the words
+ */
+function tokenize(text) {
+  return String(text ?? '').toLowerCase().match(WORD_PATTERN) ?? [];
+}
+
+/**
+ * Gets the front matter keywords of a page
+ * @param {Object} metadata - The front matter
+ * @returns {string[]} the `keywords` and `tags`, given as lists or as comma
+ *  separated text
+ */
+function getKeywords(metadata) {
+  return [metadata.keywords, metadata.tags]
+    .flatMap(value => Array.isArray(value) ? value : String(value ?? '').split(','))
+    .map(keyword => String(keyword).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Collects the plain text of inline tokens
+ * @param {Object} token - An inline token
+ * @returns {string} its text
+ */
+function inlineText(token) {
+  return (token.children ?? [])
+    .map(child => {
+      if (child.type === 'text' || child.type === 'code_inline') return child.content;
+      if (child.type === 'softbreak' || child.type === 'hardbreak') return ' ';
+      return '';
+    })
+    .join('');
+}
+
+/**
+ * Splits parsed markdown into sections at its headings
+ * @param {Array} tokens - Block tokens from `parseMarkdown`
+ * @returns {Array<{heading: string|null, anchor: string|null, level: number,
+ *  text: string}>} the sections with a heading or text, the top of the page
+ *  having no heading
+ */
+function splitSections(tokens) {
+  const sections = [{ heading: null, anchor: null, level: 0, text: [] }];
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type === 'heading_open') {
+      const inline = tokens[i + 1];
+      sections.push({
+        heading: inlineText(inline),
+        anchor: generateSlug(inline.content),
+        level: Number(token.tag.slice(1)),
+        text: []
+      });
+      i += 2;
+    } else if (token.type === 'inline') {
+      sections.at(-1).text.push(inlineText(token));
+    } else if (token.type === 'fence' || token.type === 'code_block') {
+      sections.at(-1).text.push(token.content);
+    }
+  }
+  const found = sections
+    .map(section => ({ ...section, text: section.text.join(' ').replace(/\s+/g, ' ').trim() }))
+    .filter(section => section.heading || section.text);
+  return found.length > 0 ? found : [{ heading: null, anchor: null, level: 0, text: '' }];
+}
+
+/**
+ * Counts the weighted words of a section
+ * @param {Object} section - The section
+ * @param {Object} [page] - The page, for its first section
+ * @returns {Map<string, number>} weight by word
+ */
+function weighWords(section, page) {
+  const weights = new Map();
+  const add = (text, weight) => {
+    for (const word of tokenize(text)) {
+      weights.set(word, (weights.get(word) ?? 0) + weight);
+    }
+  };
+  if (page) {
+    add(page.title, WEIGHTS.title);
+    add(page.keywords.join(' '), WEIGHTS.keywords);
+  }
+  add(section.heading, WEIGHTS.heading);
+  add(section.text, WEIGHTS.text);
+  return weights;
+}
+
+/**
+ * Builds a snippet of a section's text with the matched words in `<mark>`
+ * @param {string} text - The section text
+ * @param {string[]} terms - The query words
+ * @returns {string} HTML of the snippet
+ */
+function renderSnippet(text, terms) {
+  const matches = (word) => terms.some(term => word.toLowerCase().startsWith(term));
+
+  // Start shortly before the first match
+  let start = 0;
+  for (const match of text.matchAll(WORD_PATTERN)) {
+    if (matches(match[0])) {
+      start = Math.max(0, match.index - SNIPPET_LENGTH / 4);
+      break;
+    }
+  }
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+  // Do not cut words in half
+  if (start > 0) {
+    start = text.indexOf(' ', start) + 1 || start;
+  }
+  if (end < text.length) {
+    end = text.lastIndexOf(' ', end) > start ? text.lastIndexOf(' ', end) : end;
+  }
+  const excerpt = text.slice(start, end);
+
+  let html = '';
+  let last = 0;
+  for (const match of excerpt.matchAll(WORD_PATTERN)) {
+    if (!matches(match[0])) continue;
+    html += escapeHtml(excerpt.slice(last, match.index)) +
+      `<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  html += escapeHtml(excerpt.slice(last));
+  return (start > 0 ? '… ' : '') + html + (end < text.length ? ' …' : '');
+}
+
+/**
+ * Search index of the materials tree
+ */
+class SearchIndex {
+  /**
+   * @param {string} basePath - The base directory files are served from
+   */
+  constructor(basePath) {
+    this.basePath = path.resolve(basePath);
+    // Pages by path relative to the base path: { path, url, title,
+    // keywords, sections, dependencies }
+    this.pages = new Map();
+    // Weight by section by word: word -> Map(section -> weight)
+    this.words = new Map();
+    this.sectionCount = 0;
+    // Updates run one at a time so a page is never indexed twice at once
+    this.updates = Promise.resolve();
+  }
+
+  /**
+   * Runs an update of the index after those before it
+   * @param {Function} task - Async function changing the index
+   * @returns {Promise<void>} resolves when the update is done
+   */
+  enqueue(task) {
+    this.updates = this.updates.then(task).catch(error => {
+      console.warn('Search index update failed:', error.message);
+    });
+    return this.updates;
+  }
+
+  /**
+   * Indexes every markdown page under the base path
+   * @returns {Promise<SearchIndex>} this index
+   */
+  async build() {
+    await this.enqueue(async () => {
+      this.pages.clear();
+      this.words.clear();
+      this.sectionCount = 0;
+      const started = Date.now();
+      const files = (await listMarkdownFiles(this.basePath))
+        .filter(file => !isFragmentPath(file));
+      for (const file of files) {
+        await this.indexPage(file);
+      }
+      console.log(
+        `🔎 Indexed ${this.pages.size} pages for search in ${Date.now() - started}ms`
+      );
+    });
+    return this;
+  }
+
+  /**
+   * Indexes one page again, or drops it if it no longer exists
+   * @param {string} relativePath - Path of the page relative to the base
+   *  path, using `/` separators
+   */
+  async indexPage(relativePath) {
+    this.removePage(relativePath);
+
+    let source;
+    try {
+      // The pages' unresolved variables are reported when they are served
+      source = await readPageSource(
+        path.join(this.basePath, ...relativePath.split('/')), this.basePath,
+        { quiet: true }
+      );
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Cannot index ${relativePath} for search: ${error.message}`);
+      }
+      return;
+    }
+
+    const sections = splitSections(parseMarkdown(source.markdown, source.env));
+    const page = {
+      path: relativePath,
+      url: getPageUrl(relativePath),
+      title: source.metadata.title !== undefined
+        ? source.title
+        : sections.find(section => section.heading)?.heading ?? source.title,
+      keywords: getKeywords(source.metadata),
+      sections,
+      dependencies: source.env.dependencies
+    };
+    this.pages.set(relativePath, page);
+
+    sections.forEach((section, index) => {
+      section.page = page;
+      for (const [word, weight] of weighWords(section, index === 0 ? page : null)) {
+        if (!this.words.has(word)) {
+          this.words.set(word, new Map());
+        }
+        this.words.get(word).set(section, weight);
+      }
+    });
+    this.sectionCount += sections.length;
+  }
+
+  /**
+   * Drops a page from the index
+   * @param {string} relativePath - Path of the page relative to the base path
+   */
+  removePage(relativePath) {
+    const page = this.pages.get(relativePath);
+    if (!page) return;
+    for (const section of page.sections) {
+      for (const word of weighWords(section, page).keys()) {
+        const postings = this.words.get(word);
+        postings?.delete(section);
+        if (postings?.size === 0) {
+          this.words.delete(word);
+        }
+      }
+    }
+    this.sectionCount -= page.sections.length;
+    this.pages.delete(relativePath);
+  }
+
+  /**
+   * Updates the index for a changed file: the page itself, and the pages
+   * that include it
+   * @param {string} filePath - Absolute path of the changed file
+   * @returns {Promise<void>} resolves when the index is updated
+   */
+  fileChanged(filePath) {
+    return this.enqueue(() => this.updateFile(filePath));
+  }
+
+  async updateFile(filePath) {
+    const relative = path.relative(this.basePath, filePath);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) return;
+    const relativePath = relative.split(path.sep).join('/');
+
+    const stale = [...this.pages.values()]
+      .filter(page => page.dependencies.has(filePath))
+      .map(page => page.path);
+    if (/\.md$/i.test(relativePath) && !relativePath.split('/').some(isIgnoredEntry)
+      && !isFragmentPath(relativePath)) {
+      stale.push(relativePath);
+    }
+    for (const page of new Set(stale)) {
+      await this.indexPage(page);
+    }
+  }
+
+  /**
+   * Searches the index. Sections matching more of the query words come
+   * first, then those where they weigh more; the last word may be the
+   * start of a word.
+   * @param {string} query - The search text
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Most results to return
+   * @returns {Array<{path: string, url: string, title: string,
+   *  heading: string|null, anchor: string|null, score: number,
+   *  snippet: string}>} the results, best first
+   */
+  search(query, { limit = 20 } = {}) {
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0) return [];
+
+    // section -> { matched, score }
+    const scores = new Map();
+    terms.forEach((term, index) => {
+      const prefix = index === terms.length - 1;
+      // The weight of each section for the best matching word
+      const weights = new Map();
+      for (const [word, postings] of this.words) {
+        const exact = word === term;
+        if (!exact && !(prefix && word.startsWith(term))) continue;
+        // Rare words count for more
+        const rarity = Math.log(1 + this.sectionCount / postings.size);
+        for (const [section, weight] of postings) {
+          const score = weight * rarity * (exact ? 1 : 0.5);
+          weights.set(section, Math.max(weights.get(section) ?? 0, score));
+        }
+      }
+      for (const [section, score] of weights) {
+        const entry = scores.get(section) ?? { matched: 0, score: 0 };
+        entry.matched++;
+        entry.score += score;
+        scores.set(section, entry);
+      }
+    });
+
+    return [...scores]
+      .sort(([, a], [, b]) => b.matched - a.matched || b.score - a.score)
+      .slice(0, limit)
+      .map(([section, { score }]) => ({
+        path: section.page.path,
+        url: section.anchor ? `${section.page.url}#${section.anchor}` : section.page.url,
+        title: section.page.title,
+        heading: section.heading,
+        anchor: section.anchor,
+        score: Math.round(score * 100) / 100,
+        snippet: renderSnippet(section.text, terms)
+      }));
+  }
+
+  /**
+   * Exports the indexed pages for searching in the browser
+   * @returns {Object} the pages with their sections
+   */
+  toJSON() {
+    return {
+      generated: new Date().toISOString(),
+      pages: [...this.pages.values()]
+        .sort((a, b) => a.path.localeCompare(b.path))
+        .map(page => ({
+          path: page.path,
+          url: page.url,
+          title: page.title,
+          keywords: page.keywords,
+          sections: page.sections.map(({ heading, anchor, level, text }) =>
+            ({ heading, anchor, level, text }))
+        }))
+    };
+  }
+}
+
+export { SearchIndex, tokenize };
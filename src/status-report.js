@@ -0,0 +1,174 @@
+'use strict';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { parseMarkdown } from './file-handler.js';
+import { parseFrontMatter } from './front-matter.js';
+import { getMarkdownTitle } from './page-title.js';
+import { listMarkdownFiles, getPageUrl } from './materials.js';
+import { escapeHtml } from './html.js';
+import { STATES } from './markdown-it/status.js';
+
+/**
+ * Collects the `${status ...}` blocks of every page in the materials tree
+ */
+
+/**
+ * Finds the tokens of a given type in parsed markdown
+ * @param {Array} tokens - Block tokens from `parseMarkdown`
+ * @param {string} type - The inline token type
+ * @returns {Array} matching inline tokens, with the line of their block
+ */
+function findInlineTokens(tokens, type) {
+  const found = [];
+  for (const block of tokens) {
+    if (block.type !== 'inline' || !block.children) continue;
+    for (const child of block.children) {
+      if (child.type === type) {
+        found.push({ token: child, line: block.map ? block.map[0] : 0 });
+      }
+    }
+  }
+  return found;
+}
+
+/**
+ * Checks whether a page has been signed off: at least one reviewer has
+ * given a date
+ * @param {Object|null} status - Parsed status of the page
+ * @returns {boolean} true if the page has been signed off
+ */
+function isReviewed(status) {
+  return !!status && status.reviewers.some(reviewer => reviewer.date);
+}
+
+/**
+ * Reads the status of one page
+ * @param {string} basePath - The base directory files are served from
+ * @param {string} relativePath - Path of the page relative to the base path
+ * @returns {Promise<Object>} the page entry of the report
+ */
+async function readPageStatus(basePath, relativePath) {
+  const page = {
+    path: relativePath,
+    url: getPageUrl(relativePath),
+    title: relativePath,
+    status: null,
+    reviewed: false
+  };
+
+  try {
+    const content = await fs.readFile(path.join(basePath, relativePath), 'utf8');
+    const frontMatter = parseFrontMatter(content);
+    page.title = getMarkdownTitle(content) ?? relativePath;
+
+    const tokens = parseMarkdown(
+      frontMatter.content, { followIncludes: false }
+    );
+    const status = tokens.find(token => token.type === 'status');
+    if (status) {
+      page.status = status.meta;
+      page.line = status.map[0] + frontMatter.lines + 1;
+    }
+    page.reviewed = isReviewed(page.status);
+  } catch (error) {
+    page.error = error.message;
+  }
+
+  return page;
+}
+
+/**
+ * Collects a status report over all markdown pages under the base path
+ * @param {string} basePath - The base directory files are served from
+ * @returns {Promise<Object>} the report: a summary and one entry per page
+ */
+async function collectStatusReport(basePath) {
+  const files = await listMarkdownFiles(basePath);
+  const pages = [];
+  for (const file of files) {
+    pages.push(await readPageStatus(basePath, file));
+  }
+
+  const byState = { none: 0 };
+  for (const state of STATES) {
+    byState[state] = 0;
+  }
+  for (const page of pages) {
+    const state = page.status?.state || 'none';
+    byState[state] = (byState[state] || 0) + 1;
+  }
+
+  return {
+    generated: new Date().toISOString(),
+    summary: {
+      total: pages.length,
+      reviewed: pages.filter(page => page.reviewed).length,
+      unreviewed: pages.filter(page => !page.reviewed).length,
+      byState
+    },
+    pages
+  };
+}
+
+/**
+ * Renders a status report as an HTML page
+ * @param {Object} report - Report from `collectStatusReport`
+ * @returns {string} complete HTML document
+ */
+function renderStatusReportHtml(report) {
+  const rows = report.pages.map(page => {
+    const status = page.status;
+    const reviewers = status
+      ? status.reviewers.map(reviewer =>
+        `@${escapeHtml(reviewer.name)}${reviewer.date ? ` (${escapeHtml(reviewer.date)})` : ''}`
+      ).join('<br>')
+      : '';
+    const todo = status && status.todo.length > 0
+      ? `<ul>${status.todo.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`
+      : '';
+    return `
+    <tr class="${page.reviewed ? 'reviewed' : 'unreviewed'}">
+      <td><a href="${escapeHtml(page.url)}">${escapeHtml(page.title)}</a><br><code>${escapeHtml(page.path)}</code></td>
+      <td>${escapeHtml(status?.state || (page.error ? 'error' : 'none'))}</td>
+      <td>${status?.owner ? '@' + escapeHtml(status.owner) : ''}</td>
+      <td>${reviewers}</td>
+      <td>${todo}${page.error ? escapeHtml(page.error) : ''}</td>
+    </tr>`;
+  }).join('');
+
+  const states = Object.entries(report.summary.byState)
+    .map(([state, count]) => `${escapeHtml(state)}: ${count}`)
+    .join(', ');
+
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <title>MD Handler Status Report</title>
+  <style>
+    body { font-family: Arial, sans-serif; margin: 40px; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border: 1px solid #ddd; padding: 8px; text-align: left; vertical-align: top; }
+    th { background: #f5f5f5; }
+    tr.unreviewed { background: #fff4e5; }
+    code { background: #f5f5f5; padding: 2px 4px; }
+    ul { margin: 0; padding-left: 20px; }
+  </style>
+</head>
+<body>
+  <h1>Status Report</h1>
+  <p>${report.summary.total} pages, ${report.summary.reviewed} signed off, ${report.summary.unreviewed} unreviewed (${states}).</p>
+  <p>Generated ${escapeHtml(report.generated)}</p>
+  <table>
+    <tr><th>Page</th><th>State</th><th>Owner</th><th>Reviewers</th><th>To do</th></tr>${rows}
+  </table>
+</body>
+</html>`;
+}
+
+export {
+  findInlineTokens,
+  isReviewed,
+  collectStatusReport,
+  renderStatusReportHtml
+};
@@ -0,0 +1,152 @@
+'use strict';
+
+/**
+ * Filters for template variables: {{ name | filter }} or
+ * {{ name | filter:arg1,"arg 2" | other }}
+ *
+ * A filter is a function `(value, ...args) => result`. The value is
+ * `undefined` when the variable has no value and no default, so filters
+ * other than `default` should pass nil values through unchanged.
+ */
+
+const isNil = (val) => val === null || val === undefined;
+
+/**
+ * Wraps a string filter so nil values pass through
+ * @param {Function} fn - Filter taking the value as a string
+ * @returns {Function} the filter
+ */
+const stringFilter = (fn) => (value, ...args) =>
+  isNil(value) ? value : fn(String(value), ...args);
+
+/**
+ * Parses a date value, treating `YYYY-MM-DD` as a local date
+ * @param {*} value - Date, timestamp or date string
+ * @returns {Date|null} the date, or null if it is not a valid date
+ */
+function toDate(value) {
+  if (value instanceof Date) {
+    return isNaN(value) ? null : value;
+  }
+  const dateOnly = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value).trim());
+  const date = dateOnly
+    ? new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3]))
+    : new Date(typeof value === 'number' ? value : String(value));
+  return isNaN(date) ? null : date;
+}
+
+/**
+ * Formats a date with YYYY, YY, MM, M, DD, D, HH, H, mm and ss tokens
+ * @param {Date} date - The date
+ * @param {string} pattern - The format
+ * @returns {string} the formatted date
+ */
+function formatDate(date, pattern) {
+  const pad = (number) => String(number).padStart(2, '0');
+  const tokens = {
+    YYYY: () => String(date.getFullYear()),
+    YY: () => String(date.getFullYear()).slice(-2),
+    MM: () => pad(date.getMonth() + 1),
+    M: () => String(date.getMonth() + 1),
+    DD: () => pad(date.getDate()),
+    D: () => String(date.getDate()),
+    HH: () => pad(date.getHours()),
+    H: () => String(date.getHours()),
+    mm: () => pad(date.getMinutes()),
+    ss: () => pad(date.getSeconds())
+  };
+  return pattern.replace(/YYYY|YY|MM|M|DD|D|HH|H|mm|ss/g, token => tokens[token]());
+}
+
+const filters = new Map(Object.entries({
+  upper: stringFilter(text => text.toUpperCase()),
+  lower: stringFilter(text => text.toLowerCase()),
+  capitalize: stringFilter(text => text.charAt(0).toUpperCase() + text.slice(1)),
+  trim: stringFilter(text => text.trim()),
+  url_encode: stringFilter(text => encodeURIComponent(text)),
+  html_escape: stringFilter(text => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')),
+  json: (value) => isNil(value) ? value : JSON.stringify(value),
+  default: (value, fallback = '') =>
+    isNil(value) || value === '' ? fallback : value,
+  format: (value, pattern = 'YYYY-MM-DD') => {
+    if (isNil(value)) return value;
+    const date = toDate(value);
+    return date ? formatDate(date, pattern) : value;
+  },
+  replace: stringFilter((text, search = '', replacement = '') =>
+    search ? text.split(search).join(replacement) : text),
+  truncate: stringFilter((text, length = '80', suffix = '...') => {
+    const max = parseInt(length, 10);
+    return isNaN(max) || text.length <= max
+      ? text
+      : text.slice(0, Math.max(0, max - suffix.length)) + suffix;
+  })
+}));
+
+/**
+ * Registers a custom filter, replacing any filter with the same name
+ * @param {string} name - Filter name, letters, digits, `_` and `-`
+ * @param {Function} fn - The filter, `(value, ...args) => result`
+ */
+function registerFilter(name, fn) {
+  if (!/^[A-Za-z_][\w-]*$/.test(name)) {
+    throw new Error(`Invalid filter name "${name}"`);
+  }
+  if (typeof fn !== 'function') {
+    throw new Error(`Filter "${name}" must be a function`);
+  }
+  filters.set(name, fn);
+}
+
+/**
+ * Gets a registered filter
+ * @param {string} name - Filter name
+ * @returns {Function|undefined} the filter
+ */
+function getFilter(name) {
+  return filters.get(name);
+}
+
+/**
+ * Parses filter arguments: a comma-separated list of bare words or
+ * single- or double-quoted strings
+ * @param {string} text - The text after the `:`
+ * @returns {string[]} the arguments
+ */
+function parseFilterArgs(text) {
+  const args = [];
+  const pattern = /\s*(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|([^,]*?))\s*(?:,|$)/gy;
+  let match;
+  while (pattern.lastIndex < text.length && (match = pattern.exec(text))) {
+    const quoted = match[1] ?? match[2];
+    args.push(quoted !== undefined
+      ? quoted.replace(/\\(.)/g, '$1')
+      : match[3]);
+    if (match[0] === '') break;
+  }
+  return args;
+}
+
+/**
+ * Parses a filter call such as `format:"YYYY-MM-DD"`
+ * @param {string} text - The text between two `|`
+ * @returns {{name: string, args: string[]}|null} the call, or null if the
+ *  text is not a call to a registered filter
+ */
+function parseFilterCall(text) {
+  const match = /^\s*([A-Za-z_][\w-]*)\s*(?::([\s\S]*))?$/.exec(text);
+  if (!match || !filters.has(match[1])) {
+    return null;
+  }
+  return {
+    name: match[1],
+    args: match[2] === undefined ? [] : parseFilterArgs(match[2].trim())
+  };
+}
+
+export { registerFilter, getFilter, parseFilterCall, parseFilterArgs };
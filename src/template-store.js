@@ -0,0 +1,229 @@
+'use strict';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * Versioned storage of the admin template configuration.
+ *
+ * Every saved configuration gets a new version number, and the previous
+ * versions are kept in a bounded history. With a file path the store is
+ * persisted as JSON so the configuration survives restarts:
+ *
+ * {
+ *   "version": 3,
+ *   "updated": "2025-11-09T10:00:00.000Z",
+ *   "config": { "variables": { ... } },
+ *   "history": [ { "version": 2, "updated": "...", "config": { ... } }, ... ]
+ * }
+ */
+
+// Numbers the temporary files of saves, so no two saves write the same one
+let tempFileCount = 0;
+
+class TemplateStore {
+  /**
+   * @param {Object} [options]
+   * @param {string|null} [options.filePath] - JSON file to persist to, in
+   *  memory only if not set
+   * @param {number} [options.historyLimit] - Number of previous versions
+   *  to keep
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || null;
+    this.historyLimit = options.historyLimit ?? 20;
+    this.version = 0;
+    this.updated = null;
+    this.config = {};
+    this.history = [];
+    // Writes of the file, one at a time so the last save is written last
+    this.writes = Promise.resolve();
+  }
+
+  /**
+   * Loads the stored configuration, if there is a file
+   * @returns {Promise<Object>} the current configuration
+   */
+  async load() {
+    if (!this.filePath) {
+      return this.config;
+    }
+
+    try {
+      const stored = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      if (stored.config && Number.isInteger(stored.version)) {
+        this.version = stored.version;
+        this.updated = stored.updated || null;
+        this.config = stored.config;
+        this.history = Array.isArray(stored.history) ? stored.history : [];
+      } else {
+        // A plain configuration such as template-config.json is version 1
+        this.version = 1;
+        this.config = stored;
+      }
+      console.log(
+        `Loaded template configuration version ${this.version} from:`,
+        this.filePath
+      );
+    } catch (error) {
+      // The file is created on the first save
+      if (error.code !== 'ENOENT') {
+        throw new Error(
+          `Cannot read template configuration "${this.filePath}": ${error.message}`
+        );
+      }
+    }
+    return this.config;
+  }
+
+  /**
+   * Saves a new version of the configuration
+   * @param {Object} config - The new configuration
+   * @returns {Promise<number>} the new version number
+   */
+  async save(config) {
+    if (this.version > 0) {
+      this.history.unshift({
+        version: this.version,
+        updated: this.updated,
+        config: this.config
+      });
+      this.history.length = Math.min(this.history.length, this.historyLimit);
+    }
+    this.version++;
+    this.updated = new Date().toISOString();
+    this.config = config;
+
+    const version = this.version;
+    if (this.filePath) {
+      // write to a temporary file first so a crash cannot leave half a file
+      const data = JSON.stringify({
+        version: this.version,
+        updated: this.updated,
+        config: this.config,
+        history: this.history
+      }, null, 2);
+      const tempPath = `${this.filePath}.${process.pid}.${++tempFileCount}.tmp`;
+      const write = this.writes.then(async () => {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.writeFile(tempPath, data);
+        await fs.rename(tempPath, this.filePath);
+      });
+      // A failed write does not hold up the next one
+      this.writes = write.catch(() => {});
+      await write;
+    }
+    return version;
+  }
+
+  /**
+   * Lists the available versions, newest first
+   * @returns {Array<{version: number, updated: string, current: boolean}>}
+   */
+  listVersions() {
+    const versions = this.history.map(entry => ({
+      version: entry.version,
+      updated: entry.updated,
+      current: false
+    }));
+    if (this.version > 0) {
+      versions.unshift({
+        version: this.version,
+        updated: this.updated,
+        current: true
+      });
+    }
+    return versions;
+  }
+
+  /**
+   * Gets the configuration of a version
+   * @param {number} version - The version number
+   * @returns {Object|null} the configuration, or null if the version is not
+   *  kept
+   */
+  getVersion(version) {
+    if (version === this.version) {
+      return this.config;
+    }
+    const entry = this.history.find(item => item.version === version);
+    return entry ? entry.config : null;
+  }
+}
+
+/**
+ * Flattens nested objects to a map of dotted paths, e.g.
+ * `variables.cluster.url`. Arrays are kept as values, and empty objects
+ * have no paths.
+ * @param {Object} object - The object to flatten
+ * @param {string} [prefix] - Path of the object
+ * @param {Object} [result] - Map to add to
+ * @returns {Object} values by path
+ */
+function flatten(object, prefix = '', result = {}) {
+  for (const [key, value] of Object.entries(object || {})) {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      flatten(value, keyPath, result);
+    } else {
+      result[keyPath] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Compares two configurations
+ * @param {Object} from - The older configuration
+ * @param {Object} to - The newer configuration
+ * @returns {{added: Object, removed: Object, changed: Object}} values by
+ *  dotted path, `changed` holding `{ from, to }` pairs. Empty objects and
+ *  lists that appear or go are not reported.
+ */
+function diffConfigs(from, to) {
+  const before = flatten(from);
+  const after = flatten(to);
+  const diff = { added: {}, removed: {}, changed: {} };
+  const isEmptyList = (value) => Array.isArray(value) && value.length === 0;
+
+  for (const [key, value] of Object.entries(after)) {
+    if (!(key in before)) {
+      if (!isEmptyList(value)) {
+        diff.added[key] = value;
+      }
+    } else if (JSON.stringify(before[key]) !== JSON.stringify(value)) {
+      diff.changed[key] = { from: before[key], to: value };
+    }
+  }
+  for (const [key, value] of Object.entries(before)) {
+    if (!(key in after) && !isEmptyList(value)) {
+      diff.removed[key] = value;
+    }
+  }
+  return diff;
+}
+
+/**
+ * Applies a JSON Merge Patch (RFC 7386): objects are merged recursively,
+ * `null` removes a key and any other value replaces the target
+ * @param {*} target - The document to patch, left unchanged
+ * @param {*} patch - The merge patch
+ * @returns {*} the patched document
+ */
+function applyMergePatch(target, patch) {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+    return patch;
+  }
+  const result = target && typeof target === 'object' && !Array.isArray(target)
+    ? { ...target }
+    : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  }
+  return result;
+}
+
+export { TemplateStore, diffConfigs, applyMergePatch };
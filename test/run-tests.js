@@ -56,6 +56,10 @@ async function runAllTests() {
       name: 'Template Parser Unit Tests',
       script: path.join(__dirname, 'test-templates.js')
     },
+    {
+      name: 'Markdown Plugin Tests',
+      script: path.join(__dirname, 'test-markdown.js')
+    },
     {
       name: 'Integration Tests',
       script: path.join(__dirname, 'test-integration.js')
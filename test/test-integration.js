@@ -1,6 +1,7 @@
 #!/usr/bin/env node
 
 import { resolveFile, updateTemplateConfig } from '../src/file-handler.js';
+import { configureIncludes } from '../src/includes.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -14,6 +15,9 @@ async function runIntegrationTest() {
   console.log('🔗 Running Integration Tests\n');
 
   try {
+    // Read the page includes from the fixtures, not an includes service
+    configureIncludes({ dir: path.join(__dirname, 'fixtures', 'includes') });
+
     // Set up test configuration
     updateTemplateConfig({
       variables: {
@@ -98,6 +102,18 @@ async function runIntegrationTest() {
       console.log(`  ❌ Expected 404, got ${result3.status}\n`);
     }
 
+    // Test 4: Strict template policy
+    console.log('🛑 Test 4: Strict template policy');
+    const result4 = await resolveFile('/sample.html', testContentDir, {
+      templatePolicy: 'strict'
+    });
+    const content4 = result4.buffer.toString();
+    if (result4.status === 500 && content4.includes('no value for "undefined_var"')) {
+      console.log('  ✅ Unresolved variables fail the request\n');
+    } else {
+      console.log(`  ❌ Expected 500 with a report, got ${result4.status}\n`);
+    }
+
   } catch (error) {
     console.error('❌ Integration test failed with error:', error);
   }
@@ -0,0 +1,955 @@
+#!/usr/bin/env node
+
+import { promises as fs } from 'fs';
+import { EventEmitter } from 'events';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Annotations and errors only render in debug mode, which the file handler
+// reads when it is first loaded.
+process.env.DEBUG = 'true';
+const {
+  renderMarkdown, renderMarkdownPage, renderPageFormat, resolveFile,
+  buildBreadcrumbs, updateTemplateConfig, clearRenderCache, getRenderCacheStats
+} = await import('../src/file-handler.js');
+const { events, FILE_CHANGED } = await import('../src/events.js');
+const { FileWatcher } = await import('../src/file-watcher.js');
+const { LIVE_RELOAD_PATH, LiveReload } = await import('../src/live-reload.js');
+
+const { parseStatus } = await import('../src/markdown-it/status.js');
+const { collectStatusReport, renderStatusReportHtml } =
+  await import('../src/status-report.js');
+const { collectAnnotations, filterAnnotations, renderAnnotationsCsv } =
+  await import('../src/annotation-report.js');
+const { listDirectory } = await import('../src/materials.js');
+const { includeHtml, configureIncludes, resetIncludes } =
+  await import('../src/includes.js');
+const { exportSite, rewriteLink } = await import('../src/export.js');
+const { SearchIndex } = await import('../src/search-index.js');
+const { getNavTree, flattenPages } = await import('../src/nav-tree.js');
+
+const testContentDir = path.join(__dirname, '..', 'test-content');
+
+/**
+ * Test runner for the markdown-it plugins
+ */
+class MarkdownTestRunner {
+  constructor() {
+    this.tests = [];
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  /**
+   * Add a test case
+   * @param {string} name - Test name
+   * @param {Function} testFn - Test function
+   */
+  test(name, testFn) {
+    this.tests.push({ name, testFn });
+  }
+
+  /**
+   * Assert that two values are equal
+   * @param {*} actual - Actual value
+   * @param {*} expected - Expected value
+   * @param {string} message - Error message
+   */
+  assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+      throw new Error(`${message}\nExpected: ${JSON.stringify(expected)}\nActual  : ${JSON.stringify(actual)}`);
+    }
+  }
+
+  /**
+   * Assert that actual contains expected substring
+   * @param {string} actual - Actual string
+   * @param {string} expected - Expected substring
+   * @param {string} message - Error message
+   */
+  assertContains(actual, expected, message = '') {
+    if (!actual.includes(expected)) {
+      throw new Error(`${message}\nExpected "${actual}" to contain "${expected}"`);
+    }
+  }
+
+  /**
+   * Assert that actual does not contain a substring
+   * @param {string} actual - Actual string
+   * @param {string} unexpected - Substring that must not be present
+   * @param {string} message - Error message
+   */
+  assertNotContains(actual, unexpected, message = '') {
+    if (actual.includes(unexpected)) {
+      throw new Error(`${message}\nExpected "${actual}" not to contain "${unexpected}"`);
+    }
+  }
+
+  /**
+   * Run all tests
+   */
+  async run() {
+    console.log('🧪 Running Markdown Plugin Tests\n');
+
+    for (const { name, testFn } of this.tests) {
+      try {
+        await testFn();
+        console.log(`✅ ${name}`);
+        this.passed++;
+      } catch (error) {
+        console.log(`❌ ${name}`);
+        console.log(`   Error: ${error.message}\n`);
+        this.failed++;
+      }
+    }
+
+    console.log(`\n📊 Test Results:`);
+    console.log(`✅ Passed: ${this.passed}`);
+    console.log(`❌ Failed: ${this.failed}`);
+    console.log(`📋 Total: ${this.tests.length}`);
+
+    if (this.failed > 0) {
+      process.exit(1);
+    }
+  }
+}
+
+// Create test runner instance
+const runner = new MarkdownTestRunner();
+
+/**
+ * Builds the render environment for a page in the test content
+ * @param {string} page - Path of the page relative to the test content
+ * @param {Object} variables - Page variables
+ * @returns {Object} markdown-it render environment
+ */
+function pageEnv(page, variables = {}) {
+  return {
+    filePath: path.join(testContentDir, page),
+    basePath: testContentDir,
+    variables
+  };
+}
+
+// Test: Include relative to the current file
+runner.test('Include relative to the current file', () => {
+  updateTemplateConfig({ variables: {} });
+
+  const html = renderMarkdown(
+    '# Setup\n\n${include login.md}\n\nDone.',
+    pageEnv('fragments/page.md', { cluster: 'ocp-1' })
+  );
+
+  runner.assertContains(html, '<p>Log in to ocp-1.</p>', 'Fragment not inlined');
+  runner.assertContains(html, '<p>Done.</p>', 'Content after include lost');
+});
+
+// Test: Include relative to the base path
+runner.test('Include relative to the base path', () => {
+  updateTemplateConfig({ variables: {} });
+
+  const html = renderMarkdown(
+    '${include /fragments/login.md}', pageEnv('sample.md')
+  );
+
+  runner.assertContains(html, 'Log in to the cluster.', 'Fragment not inlined');
+});
+
+// Test: Includes in a fragment are relative to the fragment
+runner.test('Includes in a fragment are relative to the fragment', () => {
+  updateTemplateConfig({ variables: {} });
+
+  const html = renderMarkdown(
+    '${include /fragments/nested.md}', pageEnv('tracks/lab1/lab.md')
+  );
+
+  runner.assertContains(html, '<p>Log in to the cluster.</p>', 'Nested fragment not inlined');
+  runner.assertNotContains(html, 'include-error', 'Nested include failed');
+});
+
+// Test: Include cycles are reported
+runner.test('Include cycles are reported', () => {
+  const html = renderMarkdown(
+    '${include cycle-a.md}', pageEnv('fragments/page.md')
+  );
+
+  runner.assertContains(html, 'class="include-error"', 'No error rendered');
+  runner.assertContains(html, 'Include cycle detected', 'Cycle not detected');
+});
+
+// Test: Missing fragments are reported
+runner.test('Missing fragments are reported', () => {
+  const html = renderMarkdown(
+    '${include nope.md}', pageEnv('fragments/page.md')
+  );
+
+  runner.assertContains(html, 'Included fragment &quot;nope.md&quot; not found',
+    'Missing fragment not reported');
+});
+
+// Test: Includes cannot leave the base path
+runner.test('Includes cannot leave the base path', () => {
+  const html = renderMarkdown(
+    '${include ../../package.json}', pageEnv('fragments/page.md')
+  );
+
+  runner.assertContains(html, 'directory traversal not allowed',
+    'Traversal not rejected');
+  runner.assertNotContains(html, 'md-handler', 'File outside base path read');
+});
+
+// Test: Included fragments are recorded as dependencies of the page
+runner.test('Included fragments are recorded as dependencies', () => {
+  const env = { ...pageEnv('fragments/page.md'), dependencies: new Set() };
+  renderMarkdown('${include login.md}\n\n${include nope.md}', env);
+
+  const files = [...env.dependencies]
+    .map(file => path.relative(testContentDir, file).split(path.sep).join('/'));
+  runner.assertEqual(JSON.stringify(files),
+    '["fragments/login.md","fragments/nope.md","nope.md"]',
+    'Unexpected dependencies');
+});
+
+// Test: Include directives in code are left alone
+runner.test('Include directives in code are left alone', () => {
+  const html = renderMarkdown(
+    '```\n${include login.md}\n```', pageEnv('fragments/page.md')
+  );
+
+  runner.assertContains(html, '${include login.md}', 'Code block altered');
+});
+
+// Test: Breadcrumbs use the titles of ancestor index pages
+runner.test('Breadcrumbs use the titles of ancestor index pages', async () => {
+  const trail = await buildBreadcrumbs(
+    path.join(testContentDir, 'tracks', 'lab1', 'lab.md'),
+    testContentDir,
+    'First Lab'
+  );
+
+  const html = renderMarkdown('${breadcrumbs}', { breadcrumbs: trail });
+
+  runner.assertContains(html, '<li><a href="/">Home</a></li>',
+    'Root crumb missing');
+  runner.assertContains(html, '<li><a href="/tracks/">Tracks</a></li>',
+    'Index title not used');
+  runner.assertContains(html, '<li><a href="/tracks/lab1/">lab1</a></li>',
+    'Directory name fallback missing');
+  runner.assertContains(html, '<li aria-current="page">First Lab</li>',
+    'Current page missing');
+});
+
+// Test: Breadcrumbs of an index page end with its directory
+runner.test('Breadcrumbs of an index page end with its directory', async () => {
+  const trail = await buildBreadcrumbs(
+    path.join(testContentDir, 'tracks', 'index.md'), testContentDir, 'Tracks'
+  );
+
+  runner.assertContains(JSON.stringify(trail),
+    '[{"title":"Home","href":"/"},{"title":"Tracks","href":null}]',
+    'Unexpected trail');
+});
+
+// Test: Breadcrumbs without a trail are left for the client
+runner.test('Breadcrumbs without a trail are left for the client', () => {
+  const html = renderMarkdown('${breadcrumbs}');
+
+  runner.assertContains(html, '<div id="breadcrumbs"></div>',
+    'Placeholder not rendered');
+  runner.assertNotContains(html, '${breadcrumbs}', 'Directive leaked');
+});
+
+// Test: Status renders as a review panel in debug mode
+runner.test('Status renders as a review panel in debug mode', () => {
+  const html = renderMarkdown(
+    '${status\nNeeds screenshots for step 3\\}\n}\n\nLab content.'
+  );
+
+  runner.assertContains(html, '<div class="status">', 'Status panel missing');
+  runner.assertContains(html, 'Needs screenshots for step 3}',
+    'Status text not rendered');
+  runner.assertNotContains(html, '${status', 'Directive leaked');
+});
+
+// Test: Status fields are parsed
+runner.test('Status fields are parsed', () => {
+  const status = parseStatus(`state: Review
+owner: @tw
+reviewers: @ab 2025-11-01, @cd
+todo: add screenshots
+todo:
+- check the cluster URL
+Waiting on the new cluster.`);
+
+  runner.assertEqual(status.state, 'review', 'State not parsed');
+  runner.assertEqual(status.owner, 'tw', 'Owner not parsed');
+  runner.assertEqual(JSON.stringify(status.reviewers),
+    '[{"name":"ab","date":"2025-11-01"},{"name":"cd","date":null}]',
+    'Reviewers not parsed');
+  runner.assertEqual(JSON.stringify(status.todo),
+    '["add screenshots","check the cluster URL"]', 'Todo items not parsed');
+  runner.assertEqual(status.notes, 'Waiting on the new cluster.',
+    'Notes not kept');
+});
+
+// Test: Status report collects every page
+runner.test('Status report collects every page', async () => {
+  const report = await collectStatusReport(testContentDir);
+  const lab = report.pages.find(page => page.path === 'tracks/lab1/lab.md');
+
+  runner.assertEqual(lab.url, '/tracks/lab1/lab.html', 'Page URL wrong');
+  runner.assertEqual(lab.title, 'First Lab', 'Page title wrong');
+  runner.assertEqual(lab.status.state, 'review', 'Status not collected');
+  runner.assertEqual(lab.line, 7, 'Status line wrong');
+  runner.assertEqual(lab.reviewed, true, 'Dated reviewer is a sign-off');
+
+  const sample = report.pages.find(page => page.path === 'sample.md');
+  runner.assertEqual(sample.status, null, 'Page without status');
+  runner.assertEqual(sample.reviewed, false, 'Page without status reviewed');
+  runner.assertEqual(report.summary.byState.review, 1, 'Summary wrong');
+
+  const html = renderStatusReportHtml(report);
+  runner.assertContains(html, 'add screenshots for step 3}', 'Todo not shown');
+});
+
+// Test: Status blocks with lists render as one panel and are reported
+runner.test('Status blocks with lists render as one panel and are reported', async () => {
+  const baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'md-handler-status-'));
+  try {
+    const markdown = '# Lab\n\n${status\nstate: review\ntodo:\n- add screenshots\n' +
+      '- check the cluster URL\n}\n\nLab content.\n';
+    await fs.writeFile(path.join(baseDir, 'lab.md'), markdown);
+
+    const html = renderMarkdown(markdown);
+    runner.assertContains(html,
+      '<div class="status review"><span class="label">Status: review </span>' +
+      '<ul class="todo"><li>add screenshots</li><li>check the cluster URL</li></ul></div>',
+      'Status panel not rendered with its list');
+    runner.assertNotContains(html, '${status', 'Directive leaked');
+    runner.assertNotContains(html, '<p><div', 'Panel inside a paragraph');
+
+    const report = await collectStatusReport(baseDir);
+    const lab = report.pages.find(page => page.path === 'lab.md');
+    runner.assertEqual(lab.status?.state, 'review', 'Page missing from the report');
+    runner.assertEqual(JSON.stringify(lab.status.todo),
+      '["add screenshots","check the cluster URL"]', 'Todo list not reported');
+    runner.assertEqual(lab.line, 3, 'Status line wrong');
+  } finally {
+    await fs.rm(baseDir, { recursive: true, force: true });
+  }
+});
+
+// Test: Annotations are collected with file, line and author
+runner.test('Annotations are collected with file, line and author', async () => {
+  const all = await collectAnnotations(testContentDir);
+  const annotations = all.filter(a => a.file === 'tracks/lab1/annotated.md');
+
+  runner.assertEqual(JSON.stringify(annotations.map(a =>
+    [a.type, a.line, a.author, a.message])),
+    JSON.stringify([
+      ['comment', 3, 'tw', 'check this wording'],
+      ['issue', 6, 'ab', 'the screenshot is out of date']
+    ]), 'Unexpected annotations');
+
+  runner.assertEqual(filterAnnotations(all, { type: 'issue' }).length, 1,
+    'Type filter failed');
+  runner.assertEqual(filterAnnotations(all, { author: '@tw' }).length, 1,
+    'Author filter failed');
+
+  const csv = renderAnnotationsCsv(annotations);
+  runner.assertContains(csv, 'type,file,line,author,message\r\n',
+    'CSV header missing');
+  runner.assertContains(csv, 'issue,tracks/lab1/annotated.md,6,ab,',
+    'CSV row missing');
+
+  // Spreadsheets must not run annotation text as formulas
+  const formulas = renderAnnotationsCsv(['=1+1', '+1', '-1', '@SUM(A1)', '\t=1', '\r=1', 'a=1']
+    .map(message => ({ type: 'comment', file: 'a.md', line: 1, author: 'ab', message })));
+  const messages = formulas.split('\r\n').slice(1, -1).map(row => row.split(',').at(-1));
+  runner.assertEqual(messages.join(' '), "'=1+1 '+1 '-1 '@SUM(A1) '\t=1 \"'\r=1\" a=1",
+    'Formulas not escaped');
+});
+
+// Test: Directory listings of the file browser
+runner.test('Directory listings of the file browser', async () => {
+  const entries = await listDirectory(testContentDir, 'tracks');
+
+  runner.assertEqual(JSON.stringify(entries.map(entry => [entry.path, entry.type])),
+    '[["tracks/lab1","directory"],["tracks/index.md","markdown"]]',
+    'Unexpected entries');
+
+  let error = null;
+  try {
+    await listDirectory(testContentDir, '../..');
+  } catch (e) {
+    error = e;
+  }
+  runner.assertContains(String(error?.message), 'traversal',
+    'Directory outside the base path listed');
+});
+
+/**
+ * Starts a stand-in includes service
+ * @param {Function} handler - Request handler
+ * @returns {Promise<http.Server>} the listening server
+ */
+function startIncludesService(handler) {
+  return new Promise(resolve => {
+    const server = http.createServer(handler);
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+// Test: Includes are cached and revalidated with their ETag
+runner.test('Includes are cached and revalidated with their ETag', async () => {
+  const requests = [];
+  const server = await startIncludesService((req, res) => {
+    requests.push(req.headers['if-none-match'] || '');
+    if (req.headers['if-none-match'] === '"v1"') {
+      res.writeHead(304);
+      res.end();
+    } else {
+      res.writeHead(200, { ETag: '"v1"' });
+      res.end('<header>v1</header>');
+    }
+  });
+  try {
+    resetIncludes();
+    configureIncludes({ host: '127.0.0.1', port: server.address().port, ttl: 60000 });
+    runner.assertEqual((await includeHtml('header')).content, '<header>v1</header>',
+      'Include not fetched');
+    await includeHtml('header');
+    runner.assertEqual(requests.length, 1, 'Fresh include fetched again');
+
+    configureIncludes({ ttl: 0 });
+    const include = await includeHtml('header');
+    runner.assertEqual(JSON.stringify(requests), '["","\\"v1\\""]',
+      'Stale include not revalidated');
+    runner.assertEqual(include.content, '<header>v1</header>', 'Revalidated copy lost');
+  } finally {
+    server.close();
+    resetIncludes();
+  }
+});
+
+// Test: Failed includes fall back to the last good copy or the default
+runner.test('Failed includes fall back to the last good copy or the default', async () => {
+  let status = 200;
+  const server = await startIncludesService((req, res) => {
+    if (status === 'hang') return;
+    res.writeHead(status);
+    res.end(status === 200 ? '<footer>good</footer>' : 'Not found');
+  });
+  try {
+    resetIncludes();
+    configureIncludes({
+      host: '127.0.0.1', port: server.address().port, ttl: 0, timeout: 200, retries: 1
+    });
+
+    status = 404;
+    const missing = await includeHtml('header');
+    runner.assertContains(missing.content, 'default-header', 'Default not used');
+    runner.assertContains(missing.error, '404', '404 not reported');
+
+    status = 200;
+    await includeHtml('footer');
+    status = 'hang';
+    const stale = await includeHtml('footer');
+    runner.assertEqual(stale.content, '<footer>good</footer>', 'Last good copy not used');
+    runner.assertContains(stale.error, 'timed out', 'Timeout not reported');
+  } finally {
+    server.closeAllConnections();
+    server.close();
+    resetIncludes();
+  }
+});
+
+// Test: Includes are read from a local directory
+runner.test('Includes are read from a local directory', async () => {
+  try {
+    resetIncludes();
+    configureIncludes({ dir: path.join(__dirname, 'fixtures', 'includes') });
+    const header = await includeHtml('header');
+    runner.assertContains(header.content, 'test-header', 'Local include not read');
+    runner.assertEqual(header.error, null, 'Local include reported an error');
+
+    configureIncludes({ dir: path.join(__dirname, 'fixtures', 'missing') });
+    const missing = await includeHtml('footer');
+    runner.assertContains(missing.content, 'default-footer', 'Default not used');
+    runner.assertContains(missing.error, 'ENOENT', 'Missing file not reported');
+  } finally {
+    resetIncludes();
+  }
+});
+
+// Test: Pages use the layout their front matter names
+runner.test('Pages use the layout their front matter names', async () => {
+  const fixturesDir = path.join(__dirname, 'fixtures');
+  const pagesDir = path.join(fixturesDir, 'pages');
+  try {
+    configureIncludes({ dir: path.join(fixturesDir, 'includes') });
+    updateTemplateConfig({
+      templates: { theme: 'dark' },
+      paths: { templatesDir: path.join(fixturesDir, 'layouts') },
+      variables: { author: 'A & B' }
+    });
+    const html = await renderMarkdownPage(
+      path.join(pagesDir, 'layout.md'), pagesDir, { cache: false }
+    );
+    runner.assertContains(html, '<html data-theme="dark">', 'Theme not set');
+    runner.assertContains(html, '<title>Layout &lt;test&gt;</title>', 'Title not escaped');
+    runner.assertContains(html, 'href="#first-step"', 'Contents not in the toc slot');
+    runner.assertContains(html, '<h1 id="first-step">', 'Body not in the layout');
+    runner.assertContains(html, '<p class="author">A &amp; B</p>', 'Variable not escaped');
+    runner.assertNotContains(html, 'test-header', 'Default layout used');
+
+    let error = null;
+    await renderMarkdownPage(
+      path.join(pagesDir, 'missing-layout.md'), pagesDir, { cache: false }
+    ).catch(e => { error = e; });
+    runner.assertContains(error?.message, 'Layout "nope" not found',
+      'Missing layout not reported');
+  } finally {
+    updateTemplateConfig({});
+    resetIncludes();
+  }
+});
+
+// Test: Directory settings pick the layout and are not template variables
+runner.test('Directory settings are not template variables', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'md-handler-settings-'));
+  const originalError = console.error;
+  try {
+    configureIncludes({ dir: path.join(__dirname, 'fixtures', 'includes') });
+    updateTemplateConfig({
+      paths: { templatesDir: path.join(__dirname, 'fixtures', 'layouts') }
+    });
+    await fs.mkdir(path.join(dir, 'lab'));
+    await fs.writeFile(path.join(dir, 'lab', '_variables.json'), JSON.stringify({
+      layout: 'plain', autoIndex: true, pageNavigation: false, team: 'blue'
+    }));
+    await fs.writeFile(path.join(dir, 'lab', 'page.md'),
+      'Team {{ team }}, {{ layout | no layout }}, {{ autoIndex | no listing }}, ' +
+      '{{ pageNavigation | no links }}\n');
+    const fragment = await resolveFile('/lab/page.html', dir, { format: 'fragment' });
+    runner.assertContains(fragment.buffer.toString(),
+      'Team blue, no layout, no listing, no links', 'Settings used as variables');
+    const page = await resolveFile('/lab/page.html', dir, { cache: false });
+    runner.assertContains(page.buffer.toString(), '<nav>', 'Directory layout not used');
+
+    // A missing layout fails the page with its name
+    await fs.writeFile(path.join(dir, 'lab', '_variables.json'),
+      JSON.stringify({ layout: 'nope' }));
+    let error = null;
+    await renderMarkdownPage(path.join(dir, 'lab', 'page.md'), dir, { cache: false })
+      .catch(e => { error = e; });
+    runner.assertEqual(error?.name, 'TemplateError', 'Missing layout not a template error');
+    runner.assertEqual(error?.message, `Layout "nope" not found for ${path.join('lab', 'page.md')}`,
+      'Missing layout not named');
+    console.error = () => {};
+    const result = await resolveFile('/lab/', dir);
+    runner.assertEqual(result.status, 500, 'Listing with a missing layout served');
+    runner.assertEqual(result.buffer.toString(), 'Layout "nope" not found for lab',
+      'Missing listing layout not named');
+  } finally {
+    console.error = originalError;
+    updateTemplateConfig({});
+    resetIncludes();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+// Test: Cached pages are rendered again when their sources change
+runner.test('Cached pages are rendered again when their sources change', async () => {
+  const baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'md-handler-cache-'));
+  const labDir = path.join(baseDir, 'track');
+  const page = path.join(labDir, 'lab.md');
+  const render = async () => {
+    const before = getRenderCacheStats().hits;
+    const html = await renderMarkdownPage(page, baseDir);
+    return { html, hit: getRenderCacheStats().hits > before };
+  };
+  try {
+    configureIncludes({ dir: path.join(__dirname, 'fixtures', 'includes') });
+    clearRenderCache();
+    await fs.mkdir(labDir);
+    await fs.writeFile(path.join(labDir, 'index.md'), '# Track One\n');
+    await fs.writeFile(page, '${breadcrumbs}\n\n# Lab for {{ product }}\n');
+    updateTemplateConfig({ variables: { product: 'ACE' } });
+
+    runner.assertContains((await render()).html, 'Lab for ACE', 'Page not rendered');
+    runner.assertEqual((await render()).hit, true, 'Page not cached');
+
+    updateTemplateConfig({ variables: { product: 'MQ' } });
+    let result = await render();
+    runner.assertEqual(result.hit, false, 'Cache kept after the variables changed');
+    runner.assertContains(result.html, 'Lab for MQ', 'New variables not used');
+
+    await fs.writeFile(path.join(labDir, 'index.md'), '# Track Two\n');
+    runner.assertEqual((await render()).hit, true, 'Unchanged page not cached');
+    events.emit(FILE_CHANGED, { path: path.join(labDir, 'index.md') });
+    result = await render();
+    runner.assertEqual(result.hit, false, 'Cache kept after a breadcrumb source changed');
+    runner.assertContains(result.html, '<a href="/track/">Track Two</a>',
+      'Breadcrumb title not updated');
+
+    await fs.writeFile(path.join(labDir, '_variables.json'), '{"product": "ES"}');
+    events.emit(FILE_CHANGED, { path: path.join(labDir, '_variables.json') });
+    result = await render();
+    runner.assertEqual(result.hit, false, 'Cache kept after a variables file changed');
+    runner.assertContains(result.html, 'Lab for ES', 'Directory variables not used');
+
+    // An edit is picked up by its modification time, without a watcher
+    runner.assertEqual((await render()).hit, true, 'Page not cached again');
+    await fs.writeFile(page, '# Lab edited\n');
+    const later = new Date(Date.now() + 60000);
+    await fs.utimes(page, later, later);
+    result = await render();
+    runner.assertEqual(result.hit, false, 'Cache kept after the page was edited');
+    runner.assertContains(result.html, 'Lab edited', 'Edited page not rendered');
+
+    // The watcher reports absolute paths, also for a relative base path
+    const relativeBase = path.relative(process.cwd(), baseDir);
+    const relativePage = path.join(relativeBase, 'track', 'lab.md');
+    clearRenderCache();
+    await renderMarkdownPage(relativePage, relativeBase);
+    await fs.writeFile(page, '# Lab updated\n');
+    events.emit(FILE_CHANGED, { path: page });
+    runner.assertContains(await renderMarkdownPage(relativePage, relativeBase),
+      'Lab updated', 'Page of a relative base path not rendered again');
+  } finally {
+    updateTemplateConfig({});
+    clearRenderCache();
+    resetIncludes();
+    await fs.rm(baseDir, { recursive: true, force: true });
+  }
+});
+
+// Test: Open pages are told when the files they were built from change
+runner.test('Live reload streams changes of the files a page uses', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'md-handler-reload-'));
+  const watcher = new FileWatcher(dir);
+  const liveReload = new LiveReload(dir);
+  const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+  try {
+    await fs.writeFile(path.join(dir, 'lab.md'), '# Lab\n');
+    await fs.writeFile(path.join(dir, 'other.md'), '# Other\n');
+    configureIncludes({ dir: path.join(__dirname, 'fixtures', 'includes') });
+    const html = await renderMarkdownPage(path.join(dir, 'lab.md'), dir, { cache: false });
+    runner.assertContains(html, 'new Set(["lab.md",', 'Page not in the script');
+    runner.assertContains(html, '"_variables.json"])', 'Variables file not in the script');
+
+    const req = new EventEmitter();
+    req.url = `${LIVE_RELOAD_PATH}?file=lab.md&file=_variables.json`;
+    const res = {
+      written: '',
+      writeHead(status, headers) { this.status = status; this.headers = headers; },
+      write(chunk) { this.written += chunk; },
+      end() {}
+    };
+    liveReload.handleRequest(req, res);
+    runner.assertEqual(res.headers['Content-Type'], 'text/event-stream', 'Not an event stream');
+    watcher.start();
+
+    await fs.writeFile(path.join(dir, 'other.md'), '# Other page\n');
+    await fs.mkdir(path.join(dir, 'node_modules'));
+    await fs.writeFile(path.join(dir, 'node_modules', 'lab.md'), '# Ignored\n');
+    await wait(400);
+    runner.assertNotContains(res.written, 'event: change', 'Reload for an unrelated file');
+
+    await fs.writeFile(path.join(dir, 'lab.md'), '# Lab 2\n');
+    for (let i = 0; i < 20 && !res.written.includes('event: change'); i++) {
+      await wait(100);
+    }
+    runner.assertContains(res.written, 'event: change\ndata: {"path":"lab.md"}\n\n',
+      'No reload for the page');
+
+    req.emit('close');
+    runner.assertEqual(liveReload.clients.size, 0, 'Closed stream still open');
+  } finally {
+    watcher.stop();
+    liveReload.close();
+    resetIncludes();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+// Test: Pages are served as markdown, fragments or JSON
+runner.test('Pages are served as markdown, fragments or JSON', async () => {
+  const pagesDir = path.join(__dirname, 'fixtures', 'pages');
+  const page = path.join(pagesDir, 'formats.md');
+  try {
+    updateTemplateConfig({ variables: { product: 'ACE' } });
+
+    const markdown = await renderPageFormat(page, pagesDir, 'md');
+    runner.assertEqual(markdown.split('\n')[0], '# Setup ACE', 'Markdown not substituted');
+
+    const fragment = await renderPageFormat(page, pagesDir, 'fragment');
+    runner.assertEqual(fragment.split('\n')[0], '<h1 id="setup-ace">Setup ACE</h1>',
+      'Fragment not the body alone');
+
+    const data = JSON.parse(await renderPageFormat(page, pagesDir, 'json'));
+    runner.assertEqual(data.title, 'Formats', 'Title missing');
+    runner.assertEqual(data.metadata.author, 'tw', 'Front matter missing');
+    runner.assertEqual(data.headings.length, 4, 'Headings missing');
+    runner.assertEqual(
+      JSON.stringify(data.toc.map(entry => [entry.id, entry.children.map(child => child.id)])),
+      '[["setup-ace",["install","configure"]],["run",[]]]',
+      'Wrong contents tree'
+    );
+    runner.assertContains(data.html, '<h2 id="install">', 'Rendered body missing');
+
+    const unknown = await resolveFile('/formats.html', pagesDir, { format: 'pdf' });
+    runner.assertEqual(unknown.status, 400, 'Unknown format accepted');
+  } finally {
+    updateTemplateConfig({});
+  }
+});
+
+// Test: Search finds sections by heading, text and keywords
+runner.test('Search finds sections by heading, text and keywords', async () => {
+  const baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'md-handler-search-'));
+  try {
+    await fs.writeFile(path.join(baseDir, 'events.md'),
+      '---\nkeywords: kafka, streams\n---\n# Event Streams\n\nIntro.\n\n' +
+      '## Create a topic\n\nUse the `<topics>` page to add a topic.\n');
+    await fs.writeFile(path.join(baseDir, 'mq.md'),
+      '# Messaging\n\n## Queues\n\nA queue manager holds queues, not topics.\n');
+    const index = await new SearchIndex(baseDir).build();
+
+    const results = index.search('topic');
+    runner.assertEqual(results[0].url, '/events.html#create-a-topic', 'Heading match not first');
+    runner.assertEqual(results[0].title, 'Event Streams', 'Page title missing');
+    runner.assertContains(results[0].snippet, '&lt;<mark>topics</mark>&gt;',
+      'Snippet not escaped and highlighted');
+    runner.assertEqual(results.length, 2, 'Prefix match of the last word missing');
+
+    runner.assertEqual(index.search('kafka')[0].path, 'events.md', 'Keywords not indexed');
+    runner.assertEqual(index.search('queue manager')[0].anchor, 'queues', 'Wrong section');
+
+    await fs.writeFile(path.join(baseDir, 'mq.md'), '# Messaging\n\nChannels only.\n');
+    await index.fileChanged(path.join(baseDir, 'mq.md'));
+    runner.assertEqual(index.search('queue').length, 0, 'Changed page not indexed again');
+    runner.assertEqual(index.toJSON().pages.length, 2, 'Export incomplete');
+
+    // Fragments are found on the pages that include them, without warnings
+    // for the variables the pages leave unresolved
+    await fs.mkdir(path.join(baseDir, 'fragments'));
+    await fs.writeFile(path.join(baseDir, 'fragments', 'login.md'),
+      'Log in to the {{ cluster }} console.\n');
+    await fs.writeFile(path.join(baseDir, 'mq.md'),
+      '# Messaging\n\n${include /fragments/login.md}\n');
+    const warnings = [];
+    const originalWarn = console.warn;
+    console.warn = (...args) => warnings.push(args.join(' '));
+    try {
+      await index.build();
+      await index.fileChanged(path.join(baseDir, 'fragments', 'login.md'));
+    } finally {
+      console.warn = originalWarn;
+    }
+    runner.assertEqual(index.search('console').map(result => result.path).join(),
+      'mq.md', 'Fragment indexed as a page');
+    runner.assertEqual(index.toJSON().pages.length, 2, 'Fragment in the export');
+    runner.assertEqual(warnings.length, 0, `Warnings while indexing: ${warnings}`);
+  } finally {
+    await fs.rm(baseDir, { recursive: true, force: true });
+  }
+});
+
+// Test: The navigation tree follows prefixes and order files
+runner.test('The navigation tree follows prefixes and order files', async () => {
+  const navDir = path.join(__dirname, 'fixtures', 'nav');
+  const tree = await getNavTree(navDir);
+  runner.assertEqual(
+    JSON.stringify(flattenPages(tree).map(page => page.title)),
+    '["Introduction","Labs","Setup","Deploy","Cleanup","Appendix"]',
+    'Wrong reading order'
+  );
+  const labs = tree.children[1];
+  runner.assertEqual(labs.url, '/labs/', 'Directory index not linked');
+  runner.assertEqual(labs.children[0].url, '/labs/01-setup.html', 'Wrong page URL');
+});
+
+// Test: Pages link to their neighbours when page navigation is on
+runner.test('Pages link to their neighbours when page navigation is on', async () => {
+  const fixturesDir = path.join(__dirname, 'fixtures');
+  const navDir = path.join(fixturesDir, 'nav');
+  const page = path.join(navDir, 'labs', '01-setup.md');
+  try {
+    configureIncludes({ dir: path.join(fixturesDir, 'includes') });
+    const plain = await renderMarkdownPage(page, navDir, { cache: false });
+    runner.assertNotContains(plain, 'page-navigation', 'Links added when off');
+
+    updateTemplateConfig({ features: { pageNavigation: true } });
+    const html = await renderMarkdownPage(page, navDir, { cache: false });
+    runner.assertContains(html, 'rel="prev" href="/labs/">&larr; Labs</a>',
+      'Previous page link missing');
+    runner.assertContains(html, 'rel="next" href="/labs/02-deploy.html">Deploy &rarr;</a>',
+      'Next page link missing');
+  } finally {
+    updateTemplateConfig({});
+    resetIncludes();
+  }
+});
+
+// Test: Directories without an index page get a listing
+runner.test('Directories without an index page get a listing', async () => {
+  const fixturesDir = path.join(__dirname, 'fixtures');
+  const navDir = path.join(fixturesDir, 'nav');
+  try {
+    configureIncludes({ dir: path.join(fixturesDir, 'includes') });
+    const listing = await resolveFile('/', navDir);
+    runner.assertEqual(listing.status, 200, 'No listing in debug mode');
+    const html = listing.buffer.toString();
+    runner.assertContains(html, 'test-header', 'Page includes missing');
+    runner.assertContains(html, '<li class="directory"><a href="/labs/">Labs</a></li>',
+      'Directory title missing');
+    runner.assertContains(html, '<a href="/intro.html">Introduction</a>', 'Page title missing');
+
+    // Turned off for a directory tree
+    const pagesDir = path.join(fixturesDir, 'pages');
+    runner.assertEqual((await resolveFile('/', pagesDir)).status, 404,
+      'Listing shown where a directory turns it off');
+
+    updateTemplateConfig({ features: { autoIndex: false } });
+    runner.assertEqual((await resolveFile('/', navDir)).status, 404,
+      'Listing shown where the site turns it off');
+  } finally {
+    updateTemplateConfig({});
+    resetIncludes();
+  }
+});
+
+// Test: Settings files are not served
+runner.test('Settings files are not served', async () => {
+  const fixturesDir = path.join(__dirname, 'fixtures');
+  const variables = await resolveFile('/_variables.json', path.join(fixturesDir, 'pages'));
+  runner.assertEqual(variables.status, 404, 'Variables file served');
+  const order = await resolveFile('/_order.json', path.join(fixturesDir, 'nav'));
+  runner.assertEqual(order.status, 404, 'Order file served');
+  const page = await resolveFile('/labs/01-setup.md', path.join(fixturesDir, 'nav'));
+  runner.assertEqual(page.status, 200, 'Other files not served');
+});
+
+// Test: Exported links work without a server
+runner.test('Exported links work without a server', () => {
+  const cases = [
+    ['/public/site.css', 'tracks/lab1/lab.html', '../../public/site.css'],
+    ['/', 'tracks/lab1/lab.html', '../../index.html'],
+    ['/', 'index.html', 'index.html'],
+    ['/tracks/', 'tracks/lab1/lab.html', '../index.html'],
+    ['lab2/', 'tracks/index.html', 'lab2/index.html'],
+    ['/tracks/lab1/lab.md#step-2', 'index.html', 'tracks/lab1/lab.html#step-2'],
+    ['next.md?profile=a', 'tracks/lab1/lab.html', 'next.html?profile=a'],
+    ['https://example.com/a.md', 'index.html', 'https://example.com/a.md'],
+    ['#top', 'index.html', '#top']
+  ];
+  for (const [url, page, expected] of cases) {
+    runner.assertEqual(rewriteLink(url, page), expected, `Wrong link for ${url}`);
+  }
+
+  // Directories are recognized without a trailing slash
+  const directories = new Set(['', 'tracks', 'tracks/lab1']);
+  const directoryCases = [
+    ['/tracks/lab1', 'index.html', 'tracks/lab1/index.html'],
+    ['/tracks?profile=a', 'tracks/lab1/lab.html', '../index.html?profile=a'],
+    ['lab1', 'tracks/index.html', 'lab1/index.html'],
+    ['..', 'tracks/lab1/lab.html', '../index.html'],
+    ['/sample', 'index.html', 'sample']
+  ];
+  for (const [url, page, expected] of directoryCases) {
+    runner.assertEqual(rewriteLink(url, page, directories), expected,
+      `Wrong directory link for ${url}`);
+  }
+});
+
+// Test: Static HTML files are exported with their links rewritten
+runner.test('Static HTML files are exported with their links rewritten', async () => {
+  const basePath = await fs.mkdtemp(path.join(os.tmpdir(), 'md-handler-static-'));
+  const outDir = await fs.mkdtemp(path.join(os.tmpdir(), 'md-handler-export-'));
+  try {
+    configureIncludes({ dir: path.join(__dirname, 'fixtures', 'includes') });
+    await fs.mkdir(path.join(basePath, 'tracks', 'lab1'), { recursive: true });
+    await fs.writeFile(path.join(basePath, 'tracks', 'lab1', 'lab.md'), '# Lab\n');
+    await fs.writeFile(path.join(basePath, 'tracks', 'about.html'),
+      '<a href="/tracks/lab1">Lab 1</a> <a href="lab1/lab.md">Lab</a> <img src="/logo.png">');
+    await fs.writeFile(path.join(basePath, 'logo.png'), 'png');
+
+    const summary = await exportSite({ basePath, outDir });
+    runner.assertEqual(summary.errors.length, 0, 'Pages failed');
+    const about = await fs.readFile(path.join(outDir, 'tracks', 'about.html'), 'utf8');
+    runner.assertContains(about, '<a href="lab1/index.html">', 'Directory link not rewritten');
+    runner.assertContains(about, '<a href="lab1/lab.html">', 'Page link not rewritten');
+    runner.assertContains(about, '<img src="../logo.png">', 'Image link not relative');
+    await fs.access(path.join(outDir, 'tracks', 'lab1', 'index.html'));
+  } finally {
+    await fs.rm(basePath, { recursive: true, force: true });
+    await fs.rm(outDir, { recursive: true, force: true });
+    resetIncludes();
+  }
+});
+
+// Test: The export renders every page and copies the other files
+runner.test('The export renders every page and copies the other files', async () => {
+  const fixturesDir = path.join(__dirname, 'fixtures');
+  const outDir = await fs.mkdtemp(path.join(os.tmpdir(), 'md-handler-export-'));
+  try {
+    configureIncludes({ dir: path.join(fixturesDir, 'includes') });
+    const warnings = [];
+    const originalWarn = console.warn;
+    console.warn = (...args) => warnings.push(args.join(' '));
+    let summary;
+    try {
+      summary = await exportSite({ basePath: testContentDir, outDir });
+    } finally {
+      console.warn = originalWarn;
+    }
+    runner.assertEqual(summary.errors.length, 0, 'Pages failed');
+    runner.assertEqual(summary.missingAssets.join(), 'public', 'Missing assets not reported');
+    runner.assertContains(warnings.join('\n'),
+      'The pages link to /public/, which is not exported: give --assets-dir to copy it',
+      'No warning about the missing assets');
+
+    const lab = await fs.readFile(path.join(outDir, 'tracks', 'lab1', 'lab.html'), 'utf8');
+    runner.assertContains(lab, 'test-header', 'Includes not embedded');
+    runner.assertContains(lab, 'href="../../public/markdown-it.css"', 'Stylesheet link not relative');
+    runner.assertNotContains(lab, '__live-reload', 'Live reload script exported');
+    await fs.access(path.join(outDir, 'tracks', 'index.html'));
+
+    // Directories without an index page get a listing, so the breadcrumbs work
+    const home = await fs.readFile(path.join(outDir, 'index.html'), 'utf8');
+    runner.assertContains(home, '<a href="tracks/index.html">', 'Listing links not rewritten');
+    runner.assertContains(home, '<a href="sample.html">', 'Page missing from the listing');
+    runner.assertNotContains(home, 'fragments', 'Fragments in the listing');
+    const listing = await fs.readFile(path.join(outDir, 'tracks', 'lab1', 'index.html'), 'utf8');
+    runner.assertContains(listing, '<a href="lab.html">', 'Lab missing from the listing');
+    runner.assertContains(listing, 'href="../../index.html"', 'Breadcrumbs not linked home');
+
+    const exported = await fs.readdir(outDir);
+    runner.assertEqual(exported.includes('fragments'), false, 'Fragments exported as pages');
+
+    // Asset directories that are copied are not reported
+    const assetsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'md-handler-assets-'));
+    try {
+      await fs.mkdir(path.join(assetsDir, 'public'));
+      await fs.writeFile(path.join(assetsDir, 'public', 'markdown-it.css'), 'body {}');
+      summary = await exportSite({ basePath: testContentDir, outDir, assetsDir });
+      runner.assertEqual(summary.missingAssets.length, 0, 'Copied assets reported');
+      await fs.access(path.join(outDir, 'public', 'markdown-it.css'));
+    } finally {
+      await fs.rm(assetsDir, { recursive: true, force: true });
+    }
+  } finally {
+    await fs.rm(outDir, { recursive: true, force: true });
+    resetIncludes();
+  }
+});
+
+// Run all tests
+runner.run().catch(console.error);
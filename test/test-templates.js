@@ -1,6 +1,33 @@
 #!/usr/bin/env node
 
-import { parseTemplateVariables, updateTemplateConfig, getTemplateConfig } from '../src/file-handler.js';
+import { parseTemplateVariables, updateTemplateConfig, getTemplateConfig, getProfileVariables, registerFilter, TemplateError } from '../src/file-handler.js';
+import { AdminServer } from '../src/admin.js';
+import { MDServer } from '../src/index.js';
+import { SearchIndex } from '../src/search-index.js';
+import {
+  TemplateStore,
+  diffConfigs,
+  applyMergePatch
+} from '../src/template-store.js';
+import { SchemaError, validate, loadSchema } from '../src/json-schema.js';
+import {
+  hashPassword,
+  createAuthenticators,
+  authenticate,
+  isAllowed
+} from '../src/admin-auth.js';
+import { ConfigReader } from '../src/config-reader.js';
+import { configureIncludes, resetIncludes } from '../src/includes.js';
+import { LruCache } from '../src/lru-cache.js';
+import { parseFrontMatter, getFrontMatterVariables } from '../src/front-matter.js';
+import { getDirectoryVariables } from '../src/directory-variables.js';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 /**
  * Test runner for template parsing functionality
@@ -77,6 +104,36 @@ class TemplateTestRunner {
 // Create test runner instance
 const runner = new TemplateTestRunner();
 
+/**
+ * Sends a request to a server's `handleRequest` without a network
+ * @param {Object} server - An AdminServer or MDServer
+ * @param {string} method - The HTTP method
+ * @param {string} url - The request URL
+ * @param {Object} [options]
+ * @param {Object} [options.headers] - Request headers, in lower case
+ * @param {*} [options.body] - The body, sent as JSON unless a string
+ * @returns {Promise<{status: number, headers: Object, body: string,
+ *  json: Function}>} the response
+ */
+async function sendRequest(server, method, url, { headers = {}, body } = {}) {
+  const chunks = body === undefined ? []
+    : [typeof body === 'string' ? body : JSON.stringify(body)];
+  const req = Object.assign(Readable.from(chunks), { method, url, headers });
+  const response = { status: null, headers: {}, body: '' };
+  const res = {
+    setHeader: (name, value) => { response.headers[name.toLowerCase()] = value; },
+    writeHead: (status, values = {}) => {
+      response.status = status;
+      for (const [name, value] of Object.entries(values)) {
+        response.headers[name.toLowerCase()] = value;
+      }
+    },
+    end: (data = '') => { response.body = String(data); }
+  };
+  await server.handleRequest(req, res);
+  return { ...response, json: () => JSON.parse(response.body) };
+}
+
 // Test: Basic variable substitution
 runner.test('Basic variable substitution', () => {
   updateTemplateConfig({
@@ -450,5 +507,844 @@ runner.test('Multiple escaped braces in sequence', () => {
   runner.assertEqual(actual, expected, 'Multiple escaped braces failed');
 });
 
+// Test: Page variables override admin variables
+runner.test('Page variables override admin variables', () => {
+  updateTemplateConfig({
+    variables: {
+      title: 'Admin Title',
+      author: 'Admin Author'
+    }
+  });
+
+  const input = '{{ title }} by {{ author }}';
+  const expected = 'Page Title by Admin Author';
+  const actual = parseTemplateVariables(input, {
+    variables: { title: 'Page Title' }
+  });
+
+  runner.assertEqual(actual, expected, 'Page variables not applied');
+});
+
+// Test: YAML front matter is parsed and stripped
+runner.test('YAML front matter is parsed and stripped', () => {
+  const input = `---
+title: Lab 1
+author: tw
+date: 2025-11-09
+variables:
+  namespace: lab1
+---
+# {{ title }}`;
+
+  const { data, content } = parseFrontMatter(input);
+
+  runner.assertEqual(content, '# {{ title }}', 'Front matter not stripped');
+  runner.assertEqual(data.title, 'Lab 1', 'Title not parsed');
+  runner.assertEqual(data.date, '2025-11-09', 'Dates should stay strings');
+
+  const variables = getFrontMatterVariables(data);
+  runner.assertEqual(variables.author, 'tw', 'Metadata not exposed as variable');
+  runner.assertEqual(variables.namespace, 'lab1', 'Variables map not merged');
+});
+
+// Test: JSON front matter is parsed
+runner.test('JSON front matter is parsed', () => {
+  const input = '---\n{ "title": "JSON Page" }\n---\nBody';
+  const { data, content } = parseFrontMatter(input);
+
+  runner.assertEqual(data.title, 'JSON Page', 'JSON front matter not parsed');
+  runner.assertEqual(content, 'Body', 'JSON front matter not stripped');
+});
+
+// Test: Documents without front matter are untouched
+runner.test('Documents without front matter are untouched', () => {
+  const input = '# Title\n\n---\n\nMore text\n---\n';
+  const { data, content } = parseFrontMatter(input);
+
+  runner.assertEqual(content, input, 'Content should be unchanged');
+  runner.assertEqual(Object.keys(data).length, 0, 'No data expected');
+});
+
+// Test: Unresolved variables are reported with line numbers
+runner.test('Unresolved variables are reported with line numbers', () => {
+  updateTemplateConfig({ variables: { known: 'yes' } });
+
+  const originalWarn = console.warn;
+  console.warn = () => {};
+  const missing = [];
+  try {
+    parseTemplateVariables('{{ known }}\n\n{{ first }} and\n{{\n  second }}', {
+      missing, source: 'page.md', lineOffset: 3
+    });
+  } finally {
+    console.warn = originalWarn;
+  }
+
+  runner.assertEqual(JSON.stringify(missing), JSON.stringify([
+    { name: 'first', line: 6, source: 'page.md' },
+    { name: 'second', line: 7, source: 'page.md' }
+  ]), 'Missing variables not reported');
+});
+
+// Test: Strict policy fails on unresolved variables
+runner.test('Strict policy fails on unresolved variables', () => {
+  updateTemplateConfig({ variables: {} });
+
+  let error = null;
+  try {
+    parseTemplateVariables('{{ ok | fine }}\n{{ missing }}', {
+      policy: 'strict', source: 'lab.md'
+    });
+  } catch (e) {
+    error = e;
+  }
+
+  runner.assertEqual(error instanceof TemplateError, true, 'Expected a TemplateError');
+  runner.assertContains(error.message, 'lab.md', 'Source not reported');
+  runner.assertContains(error.message, 'line 2: no value for "missing"',
+    'Missing variable not reported');
+});
+
+// Test: Filters transform values
+runner.test('Filters transform values', () => {
+  updateTemplateConfig({
+    variables: {
+      user_id: 'student7',
+      cluster_url: 'https://console.example.com/ns?a=1&b=2',
+      date: '2025-11-09'
+    }
+  });
+
+  const input = '{{ user_id || upper }} {{ cluster_url || url_encode }} ' +
+    '{{ date | format:"DD/MM/YYYY" }}';
+  const expected = 'STUDENT7 https%3A%2F%2Fconsole.example.com%2Fns%3Fa%3D1%26b%3D2 ' +
+    '09/11/2025';
+  const actual = parseTemplateVariables(input);
+
+  runner.assertEqual(actual, expected, 'Filters not applied');
+});
+
+// Test: Chained filters with arguments
+runner.test('Chained filters with arguments', () => {
+  updateTemplateConfig({ variables: { name: 'hello world' } });
+
+  const input = '{{ name | replace:"world","jam" | capitalize | truncate:8,"~" }}';
+  const expected = 'Hello j~';
+  const actual = parseTemplateVariables(input);
+
+  runner.assertEqual(actual, expected, 'Filter chain failed');
+});
+
+// Test: Default value followed by filters
+runner.test('Default value followed by filters', () => {
+  updateTemplateConfig({ variables: {} });
+
+  runner.assertEqual(parseTemplateVariables('{{ name | World | upper }}'),
+    'WORLD', 'Filter not applied to default');
+  runner.assertEqual(parseTemplateVariables('{{ name | default:"a | b" | upper }}'),
+    'A | B', 'Default filter failed');
+});
+
+// Test: Pipes that are not filters stay in the default
+runner.test('Pipes that are not filters stay in the default', () => {
+  updateTemplateConfig({ variables: {} });
+
+  runner.assertEqual(parseTemplateVariables('{{ symbols | a|b | c }}'),
+    'a|b | c', 'Default with pipes changed');
+  runner.assertEqual(parseTemplateVariables('{{ word | \\| upper }}'),
+    '| upper', 'Escaped pipe should not start a filter');
+});
+
+// Test: A single default that names a filter stays a default
+runner.test('A single default that names a filter stays a default', () => {
+  updateTemplateConfig({ variables: { name: 'Ada' } });
+
+  runner.assertEqual(parseTemplateVariables('{{ missing | default }}'),
+    'default', 'Default treated as a filter');
+  runner.assertEqual(parseTemplateVariables('{{ missing | lower }}'),
+    'lower', 'Default treated as a filter');
+  runner.assertEqual(parseTemplateVariables('{{ name | upper }}'),
+    'Ada', 'Value changed by a default');
+  runner.assertEqual(parseTemplateVariables('{{ missing | | }}'),
+    '|', 'Empty segments changed');
+});
+
+// Test: Custom filters can be registered
+runner.test('Custom filters can be registered', () => {
+  updateTemplateConfig({ variables: { namespace: 'lab' } });
+  registerFilter('suffix', (value, suffix) => `${value}-${suffix}`);
+
+  const actual = parseTemplateVariables('{{ namespace | suffix:07 }}');
+
+  runner.assertEqual(actual, 'lab-07', 'Custom filter not applied');
+});
+
+// Test: Filters on a missing variable still fail the substitution
+runner.test('Filters on a missing variable still fail the substitution', () => {
+  updateTemplateConfig({ variables: {} });
+
+  const originalWarn = console.warn;
+  console.warn = () => {};
+  const actual = parseTemplateVariables('{{ missing || upper }}');
+  console.warn = originalWarn;
+
+  runner.assertEqual(actual, '<span class=\'failed-substitution\'>missing</span>',
+    'Missing variable not marked');
+});
+
+// Test: If blocks with else
+runner.test('If blocks with else', () => {
+  const input = `Intro
+{{#if env == "cloud"}}
+Use the cloud console.
+{{else}}
+Use the on-prem console.
+{{/if}}
+Done.`;
+
+  updateTemplateConfig({ variables: { env: 'cloud' } });
+  runner.assertEqual(parseTemplateVariables(input),
+    'Intro\nUse the cloud console.\nDone.', 'Cloud branch failed');
+
+  updateTemplateConfig({ variables: { env: 'onprem' } });
+  runner.assertEqual(parseTemplateVariables(input),
+    'Intro\nUse the on-prem console.\nDone.', 'Else branch failed');
+});
+
+// Test: Conditions with operators
+runner.test('Conditions with operators', () => {
+  updateTemplateConfig({
+    variables: { env: 'cloud', seats: '12', beta: 'false', name: 'x' }
+  });
+
+  const check = (condition, expected) => runner.assertEqual(
+    parseTemplateVariables(`{{#if ${condition}}}yes{{else}}no{{/if}}`),
+    expected, `Condition ${condition}`);
+
+  check('name', 'yes');
+  check('beta', 'no');
+  check('!missing', 'yes');
+  check('env != "cloud"', 'no');
+  check('seats >= 10 && env == \'cloud\'', 'yes');
+  check('beta || seats < 5', 'no');
+});
+
+// Test: Each blocks with nesting
+runner.test('Each blocks with nesting', () => {
+  updateTemplateConfig({
+    variables: {
+      show_ids: true,
+      attendees: [
+        { name: 'Ana', id: 'a1' },
+        { name: 'Bo', id: 'b2' }
+      ],
+      tags: []
+    }
+  });
+
+  const input = `{{#each attendees}}
+- {{ @index }}: {{ name }}{{#if show_ids}} ({{ id }}){{/if}}
+{{/each}}
+{{#each tags}}{{ this }}{{else}}no tags{{/each}}`;
+  const expected = '- 0: Ana (a1)\n- 1: Bo (b2)\nno tags';
+
+  runner.assertEqual(parseTemplateVariables(input), expected, 'Loop failed');
+});
+
+// Test: Each block with a named item
+runner.test('Each block with a named item', () => {
+  updateTemplateConfig({ variables: { hosts: ['h1', 'h2'] } });
+
+  const input = '{{#each hosts as host}}[{{ host }}{{#if @last}}.{{/if}}]{{/each}}';
+
+  runner.assertEqual(parseTemplateVariables(input), '[h1][h2.]', 'Named item failed');
+});
+
+// Test: Unbalanced blocks report line numbers
+runner.test('Unbalanced blocks report line numbers', () => {
+  updateTemplateConfig({ variables: {} });
+
+  const errorFor = (input) => {
+    try {
+      parseTemplateVariables(input, { source: 'lab.md' });
+    } catch (error) {
+      return error;
+    }
+    return null;
+  };
+
+  let error = errorFor('a\n{{#if x}}\nb\n');
+  runner.assertEqual(error instanceof TemplateError, true, 'Expected a TemplateError');
+  runner.assertContains(error.message, 'lab.md, line 2: {{#if}} block is never closed',
+    'Unclosed block not reported');
+
+  error = errorFor('{{#each list}}\n\n{{/if}}');
+  runner.assertContains(error.message,
+    'line 3: {{/if}} does not close the {{#each}} block opened on line 1',
+    'Mismatched block not reported');
+
+  error = errorFor('text\n{{/each}}');
+  runner.assertContains(error.message, 'line 2: {{/each}} without a matching {{#each}}',
+    'Stray close not reported');
+});
+
+// Test: Escaped block tags are left alone
+runner.test('Escaped block tags are left alone', () => {
+  updateTemplateConfig({ variables: {} });
+
+  runner.assertEqual(parseTemplateVariables('\\{{#if x}}'), '{{#if x}}',
+    'Escaped tag should not open a block');
+});
+
+// Test: Dotted paths and array indices
+runner.test('Dotted paths and array indices', () => {
+  updateTemplateConfig({
+    variables: {
+      cluster: { console: { url: 'https://console.example.com' } },
+      users: [{ name: 'u0' }, { name: 'u1', password: 'secret1' }],
+      'flat.key': 'flat wins'
+    }
+  });
+
+  const input = '{{ cluster.console.url }} {{ users[1].password }} ' +
+    '{{ users.0.name }} {{ flat.key }}';
+  const expected = 'https://console.example.com secret1 u0 flat wins';
+
+  runner.assertEqual(parseTemplateVariables(input), expected, 'Path lookup failed');
+});
+
+// Test: Defaults apply when a path segment is missing
+runner.test('Defaults apply when a path segment is missing', () => {
+  updateTemplateConfig({
+    variables: { cluster: { console: {} }, users: [] }
+  });
+
+  const input = '{{ cluster.console.url | n/a }} {{ users[3].password | none }} ' +
+    '{{ cluster.api.url | none }}';
+
+  runner.assertEqual(parseTemplateVariables(input), 'n/a none none',
+    'Defaults not applied');
+});
+
+// Test: Paths in blocks
+runner.test('Paths in blocks', () => {
+  updateTemplateConfig({
+    variables: {
+      lab: { env: 'cloud', hosts: [{ name: 'h1' }, { name: 'h2' }] }
+    }
+  });
+
+  const input = '{{#if lab.env == "cloud"}}{{#each lab.hosts}}{{ this.name }};{{/each}}{{/if}}';
+
+  runner.assertEqual(parseTemplateVariables(input), 'h1;h2;', 'Paths in blocks failed');
+});
+
+// Test: Profiles loaded from CSV
+runner.test('Profiles loaded from CSV', async () => {
+  const admin = new AdminServer({ server: {}, template: { variables: { user: 'shared' } } });
+  await admin.updateProfiles(admin.parseProfilesCsv(
+    'id,user,password\r\ns1,Ana,"p,w1"\r\ns2,Bo,\r\n'
+  ));
+
+  runner.assertEqual(getProfileVariables('s1').password, 'p,w1', 'Profile not loaded');
+  runner.assertEqual('password' in getProfileVariables('s2'), false,
+    'Empty cells should be left out');
+
+  const actual = parseTemplateVariables('{{ user }}/{{ password | none }}', {
+    variables: getProfileVariables('s2')
+  });
+  runner.assertEqual(actual, 'Bo/none', 'Profile variables not applied');
+});
+
+// Test: The search and navigation endpoints leave the materials' own paths alone
+runner.test('Search and navigation are served beside pages of the same name', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'md-handler-'));
+  const settings = { basePath: dir, templatePolicy: 'lenient' };
+  const server = new MDServer({ get: key => settings[key] });
+  const originalLog = console.log;
+  console.log = () => {};
+  try {
+    await fs.mkdir(path.join(dir, 'search'));
+    await fs.mkdir(path.join(dir, 'fragments'));
+    await fs.writeFile(path.join(dir, 'search', 'index.md'), '# Search tips\n');
+    await fs.writeFile(path.join(dir, 'fragments', 'login.md'), '# Log in\n');
+    await fs.writeFile(path.join(dir, 'nav.md'), '# Navigator tips\n');
+    server.searchIndex = await new SearchIndex(dir).build();
+
+    let response = await sendRequest(server, 'GET', '/search/?format=fragment');
+    runner.assertContains(response.body, 'Search tips', 'Search page hidden');
+    response = await sendRequest(server, 'GET', '/nav.html?format=fragment');
+    runner.assertContains(response.body, 'Navigator tips', 'Nav page hidden');
+    response = await sendRequest(server, 'GET', '/search?q=tips');
+    runner.assertEqual(response.json().results.map(result => result.url).join(),
+      '/nav.html#navigator-tips,/search/#search-tips', 'Wrong search results');
+    response = await sendRequest(server, 'GET', '/search/index.json');
+    runner.assertEqual(response.json().pages.map(page => page.path).join(),
+      'nav.md,search/index.md', 'Wrong exported pages');
+
+    response = await sendRequest(server, 'GET', '/_nav');
+    runner.assertEqual(response.json().children.map(child => child.path).join(),
+      'nav.md,search', 'Fragments in the navigation tree');
+  } finally {
+    console.log = originalLog;
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+// Test: Page requests pick a profile by query, header or cookie
+runner.test('Page requests pick a profile by query, header or cookie', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'md-handler-'));
+  const settings = { basePath: dir, templatePolicy: 'lenient' };
+  const server = new MDServer({ get: key => settings[key] });
+  const page = (url, headers = {}) =>
+    sendRequest(server, 'GET', url, { headers });
+  const originalLog = console.log;
+  console.log = () => {};
+  try {
+    await fs.writeFile(path.join(dir, 'lab.md'), 'User {{ user }}\n');
+    updateTemplateConfig({
+      variables: { user: 'shared' },
+      profiles: { s1: { user: 'Ana' }, s2: { user: 'Bo' } }
+    });
+    const cookie = (profile) => ({ cookie: `theme=dark; jam-profile=${profile}` });
+
+    let response = await page('/lab.html?format=fragment&profile=s1');
+    runner.assertContains(response.body, 'User Ana', 'Query profile not used');
+    runner.assertEqual(response.headers['set-cookie'],
+      'jam-profile=s1; Path=/; SameSite=Lax', 'Profile not remembered');
+
+    runner.assertEqual(response.headers['cache-control'], 'private',
+      'Profile page cacheable by shared caches');
+
+    response = await page('/lab.html?format=fragment', { 'x-jam-profile': 's2' });
+    runner.assertContains(response.body, 'User Bo', 'Header profile not used');
+    runner.assertEqual(response.headers['vary'], 'Accept, Cookie, x-jam-profile',
+      'Response does not vary by profile');
+    runner.assertEqual(response.headers['cache-control'], 'private',
+      'Header profile page cacheable by shared caches');
+    runner.assertEqual(response.headers['set-cookie'], undefined,
+      'Cookie set without a query profile');
+
+    response = await page('/lab.html?format=fragment', cookie('s1'));
+    runner.assertContains(response.body, 'User Ana', 'Cookie profile not used');
+
+    response = await page('/lab.html?format=fragment', { 'x-jam-profile': 's2', ...cookie('s1') });
+    runner.assertContains(response.body, 'User Bo', 'Cookie should lose to the header');
+    response = await page('/lab.html?format=fragment&profile=s1',
+      { 'x-jam-profile': 's2', ...cookie('s2') });
+    runner.assertContains(response.body, 'User Ana', 'Header should lose to the query');
+
+    response = await page('/lab.html?format=fragment&profile=', cookie('s1'));
+    runner.assertContains(response.body, 'User shared', 'Empty query profile not shared');
+    runner.assertEqual(response.headers['cache-control'], undefined,
+      'Shared page marked private');
+    runner.assertContains(response.headers['set-cookie'], 'Max-Age=0',
+      'Profile cookie not cleared');
+  } finally {
+    console.log = originalLog;
+    updateTemplateConfig({});
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+// Test: Previews render a page with draft variables without saving them
+runner.test('Admin preview renders draft variables', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'md-handler-'));
+  const admin = new AdminServer({
+    server: { basePath: dir }, template: { variables: { product: 'saved' } }
+  });
+  const originalWarn = console.warn;
+  console.warn = () => {};
+  try {
+    configureIncludes({ dir: path.join(__dirname, 'fixtures', 'includes') });
+    await fs.writeFile(path.join(dir, 'lab.md'), '# Install {{ product }}\n\nOn {{ cluster }}.\n');
+
+    let response = await sendRequest(admin, 'POST', '/preview', {
+      body: { path: 'lab.md', template: { variables: { product: 'ACE' } } }
+    });
+    runner.assertEqual(response.status, 200, 'Preview refused');
+    runner.assertContains(response.headers['content-type'], 'text/html', 'Preview not HTML');
+    runner.assertContains(response.body, '<h1 id="install-ace">Install ACE</h1>',
+      'Draft variables not used');
+    runner.assertContains(response.body,
+      '<div class="template-warnings"><strong>1 unresolved template variable</strong>' +
+      '<ul><li><code>cluster</code> (lab.md, line 3)</li></ul></div>',
+      'Unresolved variables not reported');
+    runner.assertEqual(admin.config.template.variables.product, 'saved', 'Draft saved');
+
+    response = await sendRequest(admin, 'POST', '/preview', { body: { path: 'nope.md' } });
+    runner.assertEqual(response.status, 404, 'Missing page not reported');
+    response = await sendRequest(admin, 'POST', '/preview', { body: { path: '../lab.md' } });
+    runner.assertEqual(response.status, 403, 'Page outside the materials rendered');
+
+    await fs.writeFile(path.join(dir, 'broken.md'), '---\n- not a map\n---\n# Broken\n');
+    response = await sendRequest(admin, 'POST', '/preview', { body: { path: 'broken.md' } });
+    runner.assertEqual(response.status, 422, 'Invalid front matter not reported');
+    runner.assertContains(response.json().error, 'Invalid front matter: expected a map of values',
+      'Front matter problem not described');
+  } finally {
+    console.warn = originalWarn;
+    resetIncludes();
+    updateTemplateConfig({});
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+// Test: Template configuration versions are saved, diffed and rolled back
+runner.test('Template configuration history', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'md-handler-'));
+  try {
+    const filePath = path.join(dir, 'template.json');
+    const store = new TemplateStore({ filePath, historyLimit: 2 });
+    await store.load();
+    await store.save({ variables: { cluster: 'a', user: 'x' } });
+    await store.save({ variables: { cluster: 'b', region: 'eu' } });
+    await store.save({ variables: { cluster: 'c' } });
+
+    runner.assertEqual(JSON.stringify(store.listVersions().map(v => v.version)),
+      '[3,2,1]', 'Versions not listed newest first');
+    await store.save({ variables: { cluster: 'd' } });
+    runner.assertEqual(store.getVersion(1), null, 'History not bounded');
+
+    runner.assertEqual(JSON.stringify(diffConfigs(store.getVersion(2), store.getVersion(4))),
+      JSON.stringify({
+        added: {},
+        removed: { 'variables.region': 'eu' },
+        changed: { 'variables.cluster': { from: 'b', to: 'd' } }
+      }), 'Unexpected diff');
+
+    runner.assertEqual(JSON.stringify(diffConfigs(
+      { variables: {} },
+      { variables: { cluster: 'a' }, features: {}, tags: [] }
+    )), JSON.stringify({
+      added: { 'variables.cluster': 'a' },
+      removed: {},
+      changed: {}
+    }), 'Empty containers reported');
+
+    const admin = new AdminServer({ server: {}, template: store.config, store });
+    const originalLog = console.log;
+    console.log = () => {};
+    const response = await sendRequest(admin, 'POST', '/config/rollback/2');
+    console.log = originalLog;
+    runner.assertEqual(response.json().version, 5, 'Rollback refused');
+    const reloaded = new TemplateStore({ filePath });
+    const config = await reloaded.load();
+    runner.assertEqual(reloaded.version, 5, 'Rollback not saved as new version');
+    runner.assertEqual(config.variables.region, 'eu', 'Rolled back config not persisted');
+
+    // Saves at the same time each write a whole file, the last one last
+    const versions = await Promise.all(['e', 'f', 'g']
+      .map(cluster => reloaded.save({ variables: { cluster } })));
+    runner.assertEqual(versions.join(), '6,7,8', 'Concurrent saves misnumbered');
+    const stored = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    runner.assertEqual(`${stored.version} ${stored.config.variables.cluster}`, '8 g',
+      'Last save not written last');
+    runner.assertEqual((await fs.readdir(dir)).filter(name => name.endsWith('.tmp')).length, 0,
+      'Temporary files left behind');
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+// Test: JSON Merge Patch replaces, merges and removes keys
+runner.test('JSON Merge Patch', () => {
+  const target = { variables: { a: 1, b: { c: 2, d: 3 } }, features: { x: true } };
+  const patched = applyMergePatch(target, {
+    variables: { a: null, b: { c: 5 }, e: [1] },
+    features: null
+  });
+
+  runner.assertEqual(JSON.stringify(patched),
+    '{"variables":{"b":{"c":5,"d":3},"e":[1]}}', 'Patch not applied');
+  runner.assertEqual(target.variables.a, 1, 'Target should not change');
+});
+
+// Test: Template configuration is validated against the schema
+runner.test('Template configuration schema validation', async () => {
+  const schema = await loadSchema(
+    path.join(__dirname, '..', 'template-config.schema.json')
+  );
+  const template = JSON.parse(
+    await fs.readFile(path.join(__dirname, '..', 'template-config.json'), 'utf8')
+  );
+
+  runner.assertEqual(validate(template, schema).length, 0,
+    'Shipped configuration should be valid');
+  runner.assertEqual(
+    validate({ variabels: {}, features: { x: 'yes' } }, schema).join('\n'),
+    '"variabels" is not allowed in configuration, did you mean "variables"?\n' +
+    'features.x must be boolean, not string',
+    'Unexpected validation errors');
+
+  const admin = new AdminServer({ server: {}, template: {}, schema });
+  let error = null;
+  try {
+    await admin.saveTemplateConfig({ variabels: {} });
+  } catch (e) {
+    error = e;
+  }
+  runner.assertEqual(error instanceof SchemaError, true, 'Invalid change saved');
+  runner.assertEqual(admin.store.version, 0, 'Invalid change stored');
+});
+
+// Test: Variables are created, patched and deleted over HTTP
+runner.test('Admin variable requests', async () => {
+  const schema = await loadSchema(
+    path.join(__dirname, '..', 'template-config.schema.json')
+  );
+  const admin = new AdminServer({ server: {}, template: { variables: { a: '1' } }, schema });
+  const originalLog = console.log;
+  console.log = () => {};
+  try {
+    let response = await sendRequest(admin, 'PUT', '/config/variables/cluster', { body: '"ocp-1"' });
+    runner.assertEqual(response.status, 201, 'Variable not created');
+    response = await sendRequest(admin, 'PUT', '/config/variables/cluster', { body: '"ocp-2"' });
+    runner.assertEqual(response.status, 200, 'Variable not updated');
+    response = await sendRequest(admin, 'GET', '/config/variables/cluster');
+    runner.assertEqual(response.json().value, 'ocp-2', 'Variable not read');
+    response = await sendRequest(admin, 'PUT', '/config/variables/cluster', { body: 'not json' });
+    runner.assertEqual(response.status, 400, 'Invalid value accepted');
+
+    response = await sendRequest(admin, 'PATCH', '/config', {
+      body: { variables: { a: null, region: 'eu' } }
+    });
+    runner.assertEqual(response.status, 200, 'Patch refused');
+    runner.assertEqual(JSON.stringify(response.json().config.variables),
+      '{"cluster":"ocp-2","region":"eu"}', 'Patch not applied');
+
+    response = await sendRequest(admin, 'DELETE', '/config/variables/region');
+    runner.assertEqual(response.status, 200, 'Variable not deleted');
+    response = await sendRequest(admin, 'DELETE', '/config/variables/region');
+    runner.assertEqual(response.status, 404, 'Deleted variable found');
+
+    response = await sendRequest(admin, 'PUT', '/config', { body: { variabels: {} } });
+    runner.assertEqual(response.status, 422, 'Invalid configuration saved');
+    runner.assertContains(response.json().errors[0], 'did you mean "variables"?',
+      'Validation error not reported');
+    runner.assertEqual(admin.config.template.variables.cluster, 'ocp-2',
+      'Invalid configuration applied');
+
+    // Concurrent changes all build on each other
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'md-handler-'));
+    try {
+      admin.store = new TemplateStore({ filePath: path.join(dir, 'template.json') });
+      const responses = await Promise.all([
+        sendRequest(admin, 'PATCH', '/config', { body: { variables: { one: '1' } } }),
+        sendRequest(admin, 'PUT', '/config/variables/two', { body: '"2"' }),
+        sendRequest(admin, 'PUT', '/profiles/s1', { body: { user: 'Ana' } }),
+        sendRequest(admin, 'PATCH', '/config', { body: { variables: { three: '3' } } })
+      ]);
+      runner.assertEqual(responses.map(r => r.status).join(), '200,201,200,200',
+        'Concurrent changes refused');
+      const { variables, profiles } = admin.config.template;
+      runner.assertEqual([variables.one, variables.two, variables.three, profiles.s1?.user].join(),
+        '1,2,3,Ana', 'Concurrent change lost');
+      const stored = JSON.parse(await fs.readFile(path.join(dir, 'template.json'), 'utf8'));
+      runner.assertEqual(JSON.stringify(stored.config), JSON.stringify(admin.config.template),
+        'Stored configuration differs');
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+
+    response = await sendRequest(admin, 'GET', '/config/variables/%E0%A4%A');
+    runner.assertEqual(response.status, 400, 'Malformed variable name not refused');
+    response = await sendRequest(admin, 'PUT', '/profiles/%E0%A4%A', { body: {} });
+    runner.assertEqual(response.status, 400, 'Malformed profile name not refused');
+  } finally {
+    console.log = originalLog;
+  }
+});
+
+// Test: Admin requests need a user whose role allows them
+runner.test('Admin authentication and roles', async () => {
+  const authenticators = createAuthenticators({
+    tokens: [{ name: 'ci', token: 'secret-token', role: 'read' }],
+    users: [{ name: 'tw', password: hashPassword('pa:ss'), role: 'readwrite' }]
+  });
+  const request = (authorization) => ({ headers: { authorization } });
+  const basic = (credentials) =>
+    'Basic ' + Buffer.from(credentials).toString('base64');
+
+  runner.assertEqual(JSON.stringify(await authenticate(request('Bearer secret-token'), authenticators)),
+    '{"name":"ci","role":"read"}', 'Token not accepted');
+  runner.assertEqual(await authenticate(request('Bearer wrong'), authenticators), null,
+    'Wrong token accepted');
+  runner.assertEqual((await authenticate(request(basic('tw:pa:ss')), authenticators))?.name,
+    'tw', 'Password not accepted');
+  runner.assertEqual(await authenticate(request(basic('tw:pass')), authenticators), null,
+    'Wrong password accepted');
+  runner.assertEqual(await authenticate(request(undefined), authenticators), null,
+    'Anonymous request accepted');
+
+  runner.assertEqual(isAllowed('read', 'GET'), true, 'Read role cannot read');
+  runner.assertEqual(isAllowed('read', 'PUT'), false, 'Read role can write');
+  runner.assertEqual(isAllowed('readwrite', 'DELETE'), true, 'Read-write role cannot write');
+
+  for (const token of [undefined, '', 42]) {
+    let error = null;
+    try {
+      createAuthenticators({ tokens: [{ name: 'ci', token, role: 'read' }] });
+    } catch (e) {
+      error = e;
+    }
+    runner.assertEqual(error?.message, 'Admin token "ci" has no token',
+      `Token ${token} accepted`);
+  }
+
+  for (const password of ['scrypt$00ff$', 'scrypt$00ff$zz', 'plain-text', undefined]) {
+    let error = null;
+    try {
+      createAuthenticators({ users: [{ name: 'ab', password, role: 'read' }] });
+    } catch (e) {
+      error = e;
+    }
+    runner.assertContains(error?.message ?? '', 'invalid password hash',
+      `Hash ${password} accepted`);
+  }
+});
+
+// Test: The admin server refuses, allows and logs requests by role
+runner.test('Admin requests by role, origin and audit log', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'md-handler-'));
+  const auditFile = path.join(dir, 'audit.log');
+  const admin = new AdminServer({
+    server: { corsOrigins: ['http://jam.example.com'], auditFile },
+    template: { variables: {} },
+    authenticators: createAuthenticators({
+      tokens: [
+        { name: 'ci', token: 'read-token', role: 'read' },
+        { name: 'lead', token: 'write-token', role: 'readwrite' }
+      ]
+    })
+  });
+  const as = (token) => ({ authorization: `Bearer ${token}` });
+  const originalLog = console.log;
+  console.log = () => {};
+  try {
+    let response = await sendRequest(admin, 'GET', '/config');
+    runner.assertEqual(response.status, 401, 'Anonymous request allowed');
+    runner.assertContains(response.headers['www-authenticate'], 'Basic',
+      'No Basic challenge');
+    runner.assertEqual((await sendRequest(admin, 'GET', '/health')).status, 200,
+      'Health check needs a user');
+
+    response = await sendRequest(admin, 'GET', '/config', { headers: as('read-token') });
+    runner.assertEqual(response.status, 200, 'Read role cannot read');
+    response = await sendRequest(admin, 'PUT', '/config/variables/cluster',
+      { headers: as('read-token'), body: '"ocp-1"' });
+    runner.assertEqual(response.status, 403, 'Read role can write');
+    response = await sendRequest(admin, 'PUT', '/config/variables/cluster',
+      { headers: as('write-token'), body: '"ocp-1"' });
+    runner.assertEqual(response.status, 201, 'Read-write role cannot write');
+
+    const audit = (await fs.readFile(auditFile, 'utf8')).trim().split('\n').map(JSON.parse);
+    runner.assertEqual(JSON.stringify(audit.map(({ user, key, to }) => ({ user, key, to }))),
+      '[{"user":"lead","key":"variables.cluster","to":"ocp-1"}]', 'Change not audited');
+
+    response = await sendRequest(admin, 'OPTIONS', '/config',
+      { headers: { origin: 'http://jam.example.com' } });
+    runner.assertEqual(response.status, 204, 'Preflight refused');
+    runner.assertEqual(response.headers['access-control-allow-origin'],
+      'http://jam.example.com', 'Allowed origin not granted');
+    response = await sendRequest(admin, 'OPTIONS', '/config',
+      { headers: { origin: 'http://evil.example.com' } });
+    runner.assertEqual(response.headers['access-control-allow-origin'], undefined,
+      'Other origin granted');
+  } finally {
+    console.log = originalLog;
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+// Test: Prefixed keys of a shared config file
+runner.test('Prefixed keys of a shared config file', () => {
+  const reader = new ConfigReader({ prefix: 'admin-' });
+  const own = reader.selectOwnKeys({
+    port: 8080, host: '127.0.0.1', basePath: '/m', 'admin-port': 8082
+  });
+
+  runner.assertEqual(own.port, 8082, 'Prefixed key not used');
+  runner.assertEqual(`${own.host} ${own.basePath}`, '127.0.0.1 /m',
+    'Unprefixed keys no longer apply');
+});
+
+// Test: The render cache evicts the least recently used pages
+runner.test('LRU cache limits and statistics', () => {
+  const cache = new LruCache({ maxEntries: 2, maxBytes: 10 });
+  cache.set('a', 'A', 4);
+  cache.set('b', 'B', 4);
+  cache.get('a');
+  cache.set('c', 'C', 4);
+
+  runner.assertEqual(cache.get('b'), undefined, 'Least recently used entry kept');
+  runner.assertEqual(cache.get('a'), 'A', 'Recently used entry evicted');
+  cache.set('big', 'X', 11);
+  runner.assertEqual(cache.get('big'), undefined, 'Oversized entry stored');
+
+  runner.assertEqual(cache.deleteWhere(value => value === 'C'), 1, 'Entry not deleted');
+  const stats = cache.stats();
+  runner.assertEqual(JSON.stringify([stats.entries, stats.bytes, stats.hits, stats.misses, stats.evictions]),
+    '[1,4,2,2,1]', 'Unexpected statistics');
+
+  const off = new LruCache({ maxEntries: 0 });
+  off.set('a', 'A');
+  runner.assertEqual(off.get('a'), undefined, 'Disabled cache stored an entry');
+});
+
+// Test: Expired cache entries are misses
+runner.test('Expired cache entries are misses', () => {
+  const cache = new LruCache({ ttl: 1000 });
+  const now = Date.now;
+  try {
+    cache.set('a', 'A');
+    runner.assertEqual(cache.get('a'), 'A', 'Fresh entry not returned');
+    Date.now = () => now() + 1000;
+    runner.assertEqual(cache.get('a'), undefined, 'Expired entry returned');
+  } finally {
+    Date.now = now;
+  }
+  const stats = cache.stats();
+  runner.assertEqual(JSON.stringify([stats.entries, stats.hits, stats.misses]),
+    '[0,1,1]', 'Expired entry counted as a hit');
+
+  const forever = new LruCache({ ttl: 0 });
+  forever.set('a', 'A');
+  runner.assertEqual(forever.get('a'), 'A', 'Entry without a TTL expired');
+});
+
+// Test: Directory variables cascade, nearest wins
+runner.test('Directory variables cascade, nearest wins', async () => {
+  const basePath = await fs.mkdtemp(path.join(os.tmpdir(), 'md-handler-'));
+  try {
+    const labDir = path.join(basePath, 'track', 'lab1');
+    await fs.mkdir(labDir, { recursive: true });
+    await fs.writeFile(path.join(basePath, '_variables.json'),
+      JSON.stringify({ cluster: 'global', version: '1.0' }));
+    await fs.writeFile(path.join(labDir, '_variables.json'),
+      JSON.stringify({ cluster: 'lab1-cluster' }));
+
+    const pagePath = path.join(labDir, 'index.md');
+    let variables = await getDirectoryVariables(pagePath, basePath);
+    runner.assertEqual(variables.cluster, 'lab1-cluster', 'Nearest should win');
+    runner.assertEqual(variables.version, '1.0', 'Parent values not merged');
+
+    // changing a file invalidates the cached result
+    const later = new Date(Date.now() + 5000);
+    await fs.writeFile(path.join(basePath, '_variables.json'),
+      JSON.stringify({ cluster: 'global', version: '2.0' }));
+    await fs.utimes(path.join(basePath, '_variables.json'), later, later);
+    variables = await getDirectoryVariables(pagePath, basePath);
+    runner.assertEqual(variables.version, '2.0', 'Cache not invalidated');
+
+    // removing a file drops its values
+    await fs.rm(path.join(labDir, '_variables.json'));
+    variables = await getDirectoryVariables(pagePath, basePath);
+    runner.assertEqual(variables.cluster, 'global', 'Removed file still applied');
+  } finally {
+    await fs.rm(basePath, { recursive: true, force: true });
+  }
+});
+
 // Run all tests
 runner.run().catch(console.error);
\ No newline at end of file